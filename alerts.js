@@ -0,0 +1,271 @@
+// Threshold alerting on polled values
+//
+// Each rule is evaluated per matching interface (or device, for poll failures) on
+// every poll. A breach must last `for` before the alert fires, and the value must
+// then stay below `clear` (defaulting to the threshold) for `clear_for` before it
+// resolves, so a value hovering around the threshold does not flap. Firing and
+// resolved transitions are sent to the rule's notifiers. Anomaly rules score the
+// rate against the interface's baseline for the hour of day, in standard deviations.
+
+const http = require('http');
+const https = require('https');
+const { exec } = require('child_process');
+const { sampleDelta } = require('./counters');
+const { ANOMALY_DEFAULTS, scoreRate } = require('./baseline');
+const { parseDuration } = require('./rollup');
+const { expandEnv } = require('./session');
+
+const NOTIFY_TIMEOUT = 10000;
+
+// measure() returns the value for one poll, or null when it cannot be known yet
+const RULE_TYPES = {
+    utilization: {
+        scope: 'interface',
+        measure: ({ delta, values }, rule) => {
+            if (!delta || delta.duration <= 0 || delta.reset || !values.speedMbps) return null;
+            const capacity = values.speedMbps * 1000000 * delta.duration;
+            const rx = ((delta.rx * 8) / capacity) * 100;
+            const tx = ((delta.tx * 8) / capacity) * 100;
+            return rule.direction === 'rx' ? rx : rule.direction === 'tx' ? tx : Math.max(rx, tx);
+        },
+    },
+    errors: {
+        scope: 'interface',
+        defaultThreshold: 1,
+        measure: ({ delta }, rule) => {
+            if (!delta || delta.duration <= 0) return null;
+            return rule.direction === 'rx' ? delta.rxErrors : rule.direction === 'tx' ? delta.txErrors : delta.rxErrors + delta.txErrors;
+        },
+    },
+    anomaly: {
+        scope: 'interface',
+        defaultThreshold: ANOMALY_DEFAULTS.sigma,
+        measure: ({ delta, timestamp, baseline }, rule) => {
+            if (!delta || delta.duration <= 0 || delta.reset || !baseline) return null;
+            const hour = baseline[new Date(timestamp * 1000).getHours()];
+            const options = { minRate: rule.min_rate !== undefined ? rule.min_rate : ANOMALY_DEFAULTS.minRate };
+            const scores = ['rx', 'tx']
+                .filter((dir) => rule.direction === undefined || rule.direction === 'any' || rule.direction === dir)
+                .map((dir) => scoreRate((delta[dir] * 8) / delta.duration / 1000000, hour[dir], options))
+                .filter((score) => score !== null);
+            // Either way from normal: a drop is as unusual as a burst
+            return scores.length ? Math.max(...scores.map(Math.abs)) : null;
+        },
+    },
+    oper_status: {
+        scope: 'interface',
+        defaultThreshold: 1,
+        measure: ({ values }) => (values.operStatus === undefined ? null : values.operStatus === 1 ? 0 : 1),
+    },
+    poll_failure: {
+        scope: 'device',
+        defaultThreshold: 1,
+        measure: ({ ok }) => (ok ? 0 : 1),
+    },
+};
+
+const DIRECTIONS = ['rx', 'tx', 'any'];
+
+function parseRule(rule, notifiers, defaultNotify) {
+    const type = RULE_TYPES[rule.type];
+    const label = `Alert rule ${rule.name || '(unnamed)'}`;
+    if (!rule.name) throw new Error(`${label}: name is required`);
+    if (!type) throw new Error(`${label}: unknown type '${rule.type}' (${Object.keys(RULE_TYPES).join(', ')})`);
+    if (rule.direction !== undefined && !DIRECTIONS.includes(rule.direction)) throw new Error(`${label}: direction must be one of ${DIRECTIONS.join(', ')}`);
+    const threshold = rule.threshold !== undefined ? Number(rule.threshold) : type.defaultThreshold;
+    if (threshold === undefined || isNaN(threshold)) throw new Error(`${label}: threshold is required`);
+    const clear = rule.clear !== undefined ? Number(rule.clear) : threshold;
+    if (isNaN(clear) || clear > threshold) throw new Error(`${label}: clear must be a number not above the threshold`);
+    if (rule.min_rate !== undefined && !(Number(rule.min_rate) > 0)) throw new Error(`${label}: min_rate must be a positive number`);
+    const notify = rule.notify === undefined ? defaultNotify : [].concat(rule.notify);
+    for (const name of notify) {
+        if (!notifiers[name]) throw new Error(`${label}: unknown notifier '${name}'`);
+    }
+    const sustain = rule.for !== undefined ? parseDuration(rule.for) : 0;
+    return {
+        ...rule,
+        kind: type,
+        threshold,
+        clear,
+        sustain,
+        clearSustain: rule.clear_for !== undefined ? parseDuration(rule.clear_for) : sustain,
+        notify,
+    };
+}
+
+function matches(rule, device, iface) {
+    if (rule.device !== undefined && rule.device !== device.name) return false;
+    if (iface && rule.interface !== undefined && rule.interface !== iface.name && String(rule.interface) !== String(iface.index)) return false;
+    return true;
+}
+
+function formatValue(value) {
+    return String(Number.isInteger(value) ? value : parseFloat(value.toFixed(2)));
+}
+
+function describeEvent(event) {
+    const target = event.interface ? `${event.device}/${event.interface}` : event.device;
+    const firing = event.state === 'firing';
+    if (event.type === 'oper_status') return `${target} is ${firing ? 'down' : 'up'}`;
+    if (event.type === 'poll_failure') return `${target} is ${firing ? 'not responding' : 'responding again'}`;
+    const limit = firing ? `threshold ${formatValue(event.threshold)}` : `clear ${formatValue(event.clear)}`;
+    if (event.type === 'utilization') return `${target} utilization ${formatValue(event.value)}% (${limit}%)`;
+    if (event.type === 'anomaly') return `${target} rate ${formatValue(event.value)} sigma from normal for the hour (${limit})`;
+    return `${target} ${formatValue(event.value)} new errors (${limit})`;
+}
+
+function postJson(url, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const data = JSON.stringify(body);
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, { method: 'POST', timeout: NOTIFY_TIMEOUT, headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers } }, (res) => {
+            res.resume();
+            res.on('end', () => (res.statusCode < 300 ? resolve() : reject(new Error(`HTTP ${res.statusCode}`))));
+        });
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+function runCommand(command, event) {
+    return new Promise((resolve, reject) => {
+        const env = {
+            ...process.env,
+            ALERT_RULE: event.rule,
+            ALERT_TYPE: event.type,
+            ALERT_STATE: event.state,
+            ALERT_DEVICE: event.device,
+            ALERT_INTERFACE: event.interface || '',
+            ALERT_VALUE: String(event.value),
+            ALERT_MESSAGE: event.message,
+        };
+        const child = exec(command, { env, timeout: NOTIFY_TIMEOUT }, (err, stdout, stderr) => (err ? reject(new Error(stderr.trim() || err.message)) : resolve()));
+        child.stdin.on('error', () => {});
+        child.stdin.end(JSON.stringify(event) + '\n');
+    });
+}
+
+// alerts.notifiers: { name: { type: log | command | webhook, ... } }, 'log' always exists
+function createNotifiers(config = {}, logAlert) {
+    const notifiers = { log: async (event) => logAlert(`ALERT ${event.state.toUpperCase()} [${event.rule}] ${event.message}`) };
+    for (const [name, notifier] of Object.entries(config)) {
+        if (notifier.type === 'log') {
+            notifiers[name] = notifiers.log;
+        } else if (notifier.type === 'command') {
+            if (!notifier.command) throw new Error(`Notifier ${name}: command is required`);
+            notifiers[name] = (event) => runCommand(notifier.command, event);
+        } else if (notifier.type === 'webhook') {
+            if (!notifier.url) throw new Error(`Notifier ${name}: url is required`);
+            const headers = Object.fromEntries(Object.entries(notifier.headers || {}).map(([k, v]) => [k, expandEnv(String(v), `Notifier ${name}.${k}`)]));
+            notifiers[name] = (event) => postJson(expandEnv(notifier.url, `Notifier ${name}.url`), event, headers);
+        } else {
+            throw new Error(`Notifier ${name}: unknown type '${notifier.type}' (log, command, webhook)`);
+        }
+    }
+    return notifiers;
+}
+
+// config: the alerts section of config.yaml; logAlert/logError: poller log functions;
+// getBaseline(device, iface): the interface's hourlyProfile, for anomaly rules
+function createAlerter(config = {}, { logAlert = console.log, logError = console.error, getBaseline = () => null } = {}) {
+    const notifiers = createNotifiers(config.notifiers, logAlert);
+    const rules = (config.rules || []).map((rule) => parseRule(rule, notifiers, [].concat(config.notify || 'log')));
+    const names = new Set();
+    for (const rule of rules) {
+        if (names.has(rule.name)) throw new Error(`Alert rule ${rule.name}: duplicate name`);
+        names.add(rule.name);
+    }
+    const previous = new Map();
+    const states = new Map();
+
+    function notify(rule, event) {
+        return Promise.all(
+            rule.notify.map((name) =>
+                Promise.resolve()
+                    .then(() => notifiers[name](event))
+                    .catch((err) => logError(`Notifier ${name} (${event.rule}):`, err.message))
+            )
+        );
+    }
+
+    function transition(rule, state, event) {
+        event.state = state;
+        event.message = describeEvent(event);
+        return notify(rule, event);
+    }
+
+    // Advance the ok -> pending -> firing -> resolving -> ok state machine for one rule target
+    function evaluate(rule, key, value, timestamp, target) {
+        if (value === null) return;
+        const current = states.get(key) || { state: 'ok' };
+        const event = { rule: rule.name, type: rule.type, ...target, value, threshold: rule.threshold, clear: rule.clear, timestamp };
+        const breach = value >= rule.threshold;
+        const recovered = value < rule.clear;
+        let next = current;
+        if (current.state === 'ok' || current.state === 'pending') {
+            if (!breach) next = { state: 'ok' };
+            else if (current.state === 'ok') next = { state: 'pending', since: timestamp };
+            if (next.state === 'pending' && timestamp - next.since >= rule.sustain) {
+                next = { state: 'firing', since: timestamp, value };
+                transition(rule, 'firing', event);
+            }
+        } else {
+            if (!recovered) next = { state: 'firing', since: current.since, value };
+            else if (current.state === 'firing') next = { state: 'resolving', since: current.since, clearing: timestamp };
+            if (next.state === 'resolving' && timestamp - next.clearing >= rule.clearSustain) {
+                next = { state: 'ok' };
+                transition(rule, 'resolved', { ...event, firingSince: current.since });
+            }
+        }
+        states.set(key, { ...next, rule: rule.name, target, value });
+    }
+
+    return {
+        rules,
+        // values: the poller's parsed interface values; uptime: sysUpTime of the poll
+        updateInterface(device, iface, values, uptime, timestamp) {
+            const key = `${device.name}/${iface.index}`;
+            const row = [timestamp, values.inOctets, values.outOctets, values.inPackets, values.outPackets, values.inErrors, values.outErrors, uptime];
+            const prev = previous.get(key);
+            previous.set(key, row);
+            const ctx = {
+                values,
+                timestamp,
+                delta: prev ? sampleDelta(prev, row) : null,
+                // Only anomaly rules need it, and building it queries the database
+                get baseline() {
+                    return getBaseline(device, iface);
+                },
+            };
+            for (const rule of rules) {
+                if (rule.kind.scope !== 'interface' || !matches(rule, device, iface)) continue;
+                evaluate(rule, `${rule.name}|${key}`, rule.kind.measure(ctx, rule), timestamp, { device: device.name, host: device.host, interface: iface.name, ifindex: iface.index });
+            }
+        },
+        recordPoll(device, ok, timestamp) {
+            for (const rule of rules) {
+                if (rule.kind.scope !== 'device' || !matches(rule, device)) continue;
+                evaluate(rule, `${rule.name}|${device.name}`, rule.kind.measure({ ok }, rule), timestamp, { device: device.name, host: device.host });
+            }
+        },
+        // Alerts currently firing or waiting to resolve
+        active() {
+            return [...states.values()].filter((s) => s.state === 'firing' || s.state === 'resolving');
+        },
+        // Send a synthetic event through every notifier, to check their configuration
+        test() {
+            const event = { rule: 'test', type: 'test', state: 'firing', device: 'test', interface: '', value: 0, threshold: 0, clear: 0, timestamp: Math.floor(Date.now() / 1000), message: 'Test notification' };
+            return Promise.all(
+                Object.entries(notifiers).map(([name, notifier]) =>
+                    Promise.resolve()
+                        .then(() => notifier(event))
+                        .then(() => ({ name, ok: true }))
+                        .catch((err) => ({ name, ok: false, error: err.message }))
+                )
+            );
+        },
+    };
+}
+
+module.exports = { RULE_TYPES, createAlerter };
@@ -0,0 +1,135 @@
+// Time-of-day baselines and anomaly detection shared by poller.js and traffic.js
+//
+// An interface's 5-minute rates over a history window are grouped by local hour of day
+// into distributions (mean, stddev, percentiles); rates are always compared at that
+// resolution, whichever tier they come from. A rate is scored by how many standard
+// deviations it lies from the mean for its hour, with the deviation floored at
+// min_rate so that a normally idle port carrying traffic still stands out rather
+// than dividing by a zero spread.
+
+const { getRates, getSeries } = require('./rollup');
+
+const ANOMALY_DEFAULTS = { sigma: 3, minRate: 0.1 };
+const BASELINE_STEP = 5 * 60;
+// Hours with fewer rates than this have no baseline
+const MIN_SAMPLES = 3;
+
+// days: local days of the week to include (0 = Sunday), or null for all of them
+function getHourlyRates(db, device, ifaceIndex, since, until, days = null) {
+    return groupByHour(getRates(db, device, ifaceIndex, since, until), days);
+}
+
+function groupByHour(rates, days = null) {
+    if (rates.length < 1) return null;
+    const hourlyRates = {};
+    for (let h = 0; h < 24; h++) hourlyRates[h] = { rx: [], tx: [] };
+    for (const rate of rates) {
+        const date = new Date(rate.timestamp * 1000);
+        if (days && !days.includes(date.getDay())) continue;
+        hourlyRates[date.getHours()].rx.push(rate.rxMbps);
+        hourlyRates[date.getHours()].tx.push(rate.txMbps);
+    }
+    return hourlyRates;
+}
+
+// Rates by local day of the week (0 = Sunday) and hour: weekly[day][hour] = { rx, tx }, null without data
+function getWeeklyRates(db, device, ifaceIndex, since, until) {
+    const rates = getRates(db, device, ifaceIndex, since, until);
+    if (rates.length < 1) return null;
+    const weekly = [];
+    for (let d = 0; d < 7; d++) weekly.push(Array.from({ length: 24 }, () => ({ rx: [], tx: [] })));
+    for (const rate of rates) {
+        const date = new Date(rate.timestamp * 1000);
+        weekly[date.getDay()][date.getHours()].rx.push(rate.rxMbps);
+        weekly[date.getDay()][date.getHours()].tx.push(rate.txMbps);
+    }
+    return weekly;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const idx = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(idx);
+    const upper = Math.ceil(idx);
+    if (lower === upper) return sorted[lower];
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (idx - lower);
+}
+
+function calcStats(values) {
+    if (!values || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const min = sorted[0];
+    const max = sorted[n - 1];
+    const p50 = percentile(sorted, 50);
+    const p95 = percentile(sorted, 95);
+    const p99 = percentile(sorted, 99);
+    if (n === 1) return { mean, ci: 0, stddev: 0, n, min, max, p50, p95, p99 };
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (n - 1);
+    const stddev = Math.sqrt(variance);
+    const tValues = { 2: 12.71, 3: 4.3, 4: 3.18, 5: 2.78, 6: 2.57, 7: 2.45, 8: 2.36, 9: 2.31, 10: 2.26, 15: 2.13, 20: 2.09, 30: 2.04 };
+    let t = 1.96;
+    for (const [df, tv] of Object.entries(tValues))
+        if (n - 1 <= parseInt(df)) {
+            t = tv;
+            break;
+        }
+    const ci = t * (stddev / Math.sqrt(n));
+    return { mean, ci, stddev, n, min, max, p50, p95, p99 };
+}
+
+// Rates of the 5-minute slots in [since, until) that are at least half covered by samples
+function getSlotRates(db, device, ifaceIndex, since, until) {
+    const from = Math.floor(since / BASELINE_STEP) * BASELINE_STEP;
+    return getSeries(db, device, ifaceIndex, from, until, BASELINE_STEP)
+        .filter((slot) => slot.duration >= BASELINE_STEP / 2 && !slot.resets)
+        .map((slot) => ({ timestamp: slot.time + BASELINE_STEP / 2, duration: BASELINE_STEP, rxMbps: (slot.rx * 8) / slot.duration / 1000000, txMbps: (slot.tx * 8) / slot.duration / 1000000 }));
+}
+
+// Distribution of 5-minute rx and tx rates for each hour of day over [since, until), null without data
+function hourlyProfile(db, device, ifaceIndex, since, until) {
+    const rates = groupByHour(getSlotRates(db, device, ifaceIndex, since, until));
+    if (!rates) return null;
+    const hours = [];
+    for (let h = 0; h < 24; h++) hours.push({ rx: calcStats(rates[h].rx), tx: calcStats(rates[h].tx) });
+    return hours;
+}
+
+// Deviations from the hour's mean, positive above it; null when the hour has too little history
+function scoreRate(value, stats, { minRate = ANOMALY_DEFAULTS.minRate } = {}) {
+    if (!stats || stats.n < MIN_SAMPLES) return null;
+    return (value - stats.mean) / Math.max(stats.stddev, minRate);
+}
+
+// Rates (from getSlotRates) outside the profile for their hour, consecutive ones per direction merged into one anomaly
+function findAnomalies(rates, profile, { sigma = ANOMALY_DEFAULTS.sigma, minRate = ANOMALY_DEFAULTS.minRate } = {}) {
+    const anomalies = [];
+    const open = {};
+    for (const rate of rates) {
+        const start = rate.timestamp - rate.duration / 2;
+        const end = rate.timestamp + rate.duration / 2;
+        const stats = profile ? profile[new Date(rate.timestamp * 1000).getHours()] : null;
+        for (const dir of ['rx', 'tx']) {
+            const value = rate[`${dir}Mbps`];
+            const score = stats ? scoreRate(value, stats[dir], { minRate }) : null;
+            const kind = score === null ? null : score >= sigma && value > stats[dir].p99 ? 'high' : score <= -sigma ? 'low' : null;
+            const current = open[dir];
+            if (current && (current.kind !== kind || start - current.end > rate.duration)) {
+                anomalies.push(current);
+                delete open[dir];
+            }
+            if (!kind) continue;
+            if (!open[dir]) open[dir] = { start, end, direction: dir, kind, peak: value, score, normal: stats[dir].p50, p99: stats[dir].p99, intervals: 0 };
+            const anomaly = open[dir];
+            anomaly.end = end;
+            anomaly.intervals++;
+            if (Math.abs(score) > Math.abs(anomaly.score)) Object.assign(anomaly, { peak: value, score, normal: stats[dir].p50, p99: stats[dir].p99 });
+        }
+    }
+    anomalies.push(...Object.values(open));
+    for (const anomaly of anomalies) anomaly.severity = Math.abs(anomaly.score) >= 2 * sigma ? 'critical' : 'warning';
+    return anomalies.sort((a, b) => a.start - b.start);
+}
+
+module.exports = { ANOMALY_DEFAULTS, getHourlyRates, getWeeklyRates, calcStats, getSlotRates, hourlyProfile, scoreRate, findAnomalies };
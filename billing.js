@@ -0,0 +1,90 @@
+// Billing cycles for interfaces billed on 95th percentile usage or against a transfer cap
+//
+// A cycle runs from the billing day of one month to the same day of the next, at local
+// midnight. The 95th percentile is taken over the 5-minute rates in the cycle by
+// discarding the top 5%, with the larger of rx and tx as the billed rate, which is how
+// transit is usually charged. Caps are in decimal units (1TB = 10^12 bytes) as
+// providers count them.
+//
+// A cycle from before the 5-minute data's retention is totalled from hourly rollups
+// instead, and has no 95th percentile: hourly means would understate it.
+
+const { getSeries, retainedSince } = require('./rollup');
+
+const BILLING_STEP = 5 * 60;
+const HOURLY_STEP = 60 * 60;
+const BYTE_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, pb: 1e15, kib: 2 ** 10, mib: 2 ** 20, gib: 2 ** 30, tib: 2 ** 40, pib: 2 ** 50 };
+
+// 500GB, 1.5TB, 2TiB or a plain number of bytes
+function parseBytes(val) {
+    if (typeof val === 'number' && val >= 0) return val;
+    const match = /^(\d+(?:\.\d+)?)\s*([kmgtp]i?b|b)?$/i.exec(String(val).trim());
+    if (!match) throw new Error(`Invalid size: ${val} (use e.g. 500GB, 1.5TB, 2TiB)`);
+    return Math.round(parseFloat(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+// The cycle containing now, or `back` cycles before it; day is 1-28 so every month has it
+function billingCycle(now, day = 1, back = 0) {
+    const date = new Date(now * 1000);
+    const month = date.getMonth() - (date.getDate() < day ? 1 : 0) - back;
+    return {
+        start: Math.floor(new Date(date.getFullYear(), month, day).getTime() / 1000),
+        end: Math.floor(new Date(date.getFullYear(), month + 1, day).getTime() / 1000),
+    };
+}
+
+// Nearest rank, as in billing: the highest value left after dropping the top (100 - p)%
+function rankPercentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(slots, start, end, percentile = true) {
+    const used = slots.filter((slot) => slot.time >= start && slot.time < end && slot.duration > 0);
+    const rx = used.reduce((sum, slot) => sum + slot.rx, 0);
+    const tx = used.reduce((sum, slot) => sum + slot.tx, 0);
+    const rates = (dir) => used.map((slot) => (slot[dir] * 8) / slot.duration / 1000000);
+    const rxP95 = percentile ? rankPercentile(rates('rx'), 95) : null;
+    const txP95 = percentile ? rankPercentile(rates('tx'), 95) : null;
+    return { start, end, rx, tx, total: rx + tx, samples: used.length, rxP95, txP95, p95: percentile && used.length ? Math.max(rxP95, txP95) : null };
+}
+
+// Step of the data a cycle is measured from: hourly when the finer data from its start has been pruned
+function cycleStep(db, start) {
+    const fine = retainedSince(db, BILLING_STEP);
+    const hourly = retainedSince(db, HOURLY_STEP);
+    // An hourly bucket starts up to an hour before the first sample in it, so only an older one shows pruning
+    return fine !== null && start < fine && hourly <= fine - HOURLY_STEP ? HOURLY_STEP : BILLING_STEP;
+}
+
+// Usage for one cycle with its per-day breakdown; projected is the total at the end of a cycle still running
+function calcBilling(db, device, ifaceIndex, { day = 1, cap = null } = {}, back = 0, now = Math.floor(Date.now() / 1000)) {
+    const { start, end } = billingCycle(now, day, back);
+    const step = cycleStep(db, start);
+    // Hourly buckets start on the hour, which a cycle start in a half-hour time zone is not
+    const slots = getSeries(db, device, ifaceIndex, Math.floor(start / step) * step, end, step);
+    const percentile = step === BILLING_STEP;
+    const cycle = summarize(slots, start, end, percentile);
+    const until = Math.min(end, now);
+    const current = now < end;
+    const days = [];
+    for (let date = new Date(start * 1000); date.getTime() / 1000 < until; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+        const dayStart = Math.floor(date.getTime() / 1000);
+        const dayEnd = Math.floor(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime() / 1000);
+        days.push(summarize(slots, dayStart, dayEnd, percentile));
+    }
+    return {
+        ...cycle,
+        step,
+        day,
+        cap,
+        current,
+        elapsed: until - start,
+        capUsed: cap ? cycle.total / cap : null,
+        projected: current && until > start ? (cycle.total * (end - start)) / (until - start) : null,
+        days,
+    };
+}
+
+module.exports = { parseBytes, billingCycle, calcBilling };
@@ -0,0 +1,281 @@
+// Loading and validation of config.yaml shared by poller.js and traffic.js
+//
+// Problems are reported with the file, line and column of the offending value (or
+// of the nearest enclosing one when a field is missing), all at once rather than
+// stopping at the first. Unknown keys are warnings, since they are usually typos.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const YAML = require('yaml');
+const { AUTH_PROTOCOLS, PRIV_PROTOCOLS } = require('./session');
+const { RULE_TYPES } = require('./alerts');
+const { TIERS, parseDuration } = require('./rollup');
+const { IDENTITY_KEYS, normalizeMac } = require('./identity');
+const { parseBytes } = require('./billing');
+const { METRIC_TYPES, METRIC_KEYS, METRIC_NAME, OID } = require('./metrics');
+const { OVERLAP_MODES } = require('./scheduler');
+
+const DEVICE_KEYS = ['name', 'host', 'port', 'timeout', 'retries', 'version', 'community', 'user', 'auth_protocol', 'auth_key', 'priv_protocol', 'priv_key', 'poll_interval', 'max_oids', 'metrics', 'interfaces'];
+const INTERFACE_KEYS = ['index', 'name', ...IDENTITY_KEYS, 'billing', 'metrics'];
+const SETTINGS_KEYS = ['poll_interval', 'poll_jitter', 'poll_overlap', 'max_oids', 'report_interval', 'database', 'checkpoint_interval', 'secrets', 'http_port', 'http_host', 'retention'];
+const NOTIFIER_TYPES = ['log', 'command', 'webhook'];
+const HOSTNAME = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i;
+
+class ConfigError extends Error {
+    constructor(file, errors) {
+        super(`${file}: ${errors.length} error${errors.length === 1 ? '' : 's'}\n` + errors.map((e) => `  ${e}`).join('\n'));
+        this.errors = errors;
+    }
+}
+
+// Relative paths in the config ('./traffic.sqlite') are relative to the scripts, not the working directory
+function resolveConfigPath(value) {
+    if (!value) return null;
+    return value.startsWith('.') ? path.join(__dirname, value) : value;
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isString = (v) => typeof v === 'string' && v.trim() !== '';
+const isInteger = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+function validate(config, report) {
+    const { error, warn } = report;
+
+    const checkKeys = (obj, known, at) => {
+        for (const key of Object.keys(obj)) if (!known.includes(key)) warn([...at, key], `unknown key '${key}'`);
+    };
+    const checkInteger = (obj, key, at, min, max, required = false) => {
+        if (obj[key] === undefined || obj[key] === null) {
+            if (required) error(at, `${key} is required`);
+        } else if (!isInteger(obj[key], min, max)) {
+            error([...at, key], `must be an integer from ${min} to ${max}`);
+        }
+    };
+    const checkString = (obj, key, at, required = false) => {
+        if (obj[key] === undefined || obj[key] === null) {
+            if (required) error(at, `${key} is required`);
+        } else if (!isString(obj[key])) {
+            error([...at, key], 'must be a non-empty string');
+        }
+    };
+    const checkOneOf = (obj, key, at, values) => {
+        if (obj[key] !== undefined && !values.includes(String(obj[key]).toLowerCase())) error([...at, key], `must be one of ${values.join(', ')}`);
+    };
+    const checkDuration = (obj, key, at) => {
+        if (obj[key] === undefined) return;
+        try {
+            if (!(parseDuration(obj[key]) >= 0)) throw new Error();
+        } catch (err) {
+            error([...at, key], 'must be a duration such as 90s, 5m, 7d');
+        }
+    };
+
+    const checkMetrics = (obj, at) => {
+        if (obj.metrics === undefined || obj.metrics === null) return;
+        if (!Array.isArray(obj.metrics)) return error([...at, 'metrics'], 'metrics must be a list');
+        const names = new Set();
+        obj.metrics.forEach((metric, m) => {
+            const metricAt = [...at, 'metrics', m];
+            if (!isObject(metric)) return error(metricAt, 'metric must be a mapping with name and oid');
+            checkKeys(metric, METRIC_KEYS, metricAt);
+            checkString(metric, 'name', metricAt, true);
+            if (isString(metric.name)) {
+                if (!METRIC_NAME.test(metric.name)) error([...metricAt, 'name'], 'must be letters, digits and underscores');
+                else if (names.has(metric.name)) error([...metricAt, 'name'], `duplicate metric name '${metric.name}'`);
+                names.add(metric.name);
+            }
+            checkString(metric, 'oid', metricAt, true);
+            if (isString(metric.oid) && !OID.test(metric.oid)) error([...metricAt, 'oid'], `'${metric.oid}' is not a numeric OID`);
+            checkOneOf(metric, 'type', metricAt, METRIC_TYPES);
+            if (metric.scale !== undefined && typeof metric.scale !== 'number') error([...metricAt, 'scale'], 'must be a number');
+            checkString(metric, 'unit', metricAt);
+        });
+    };
+
+    if (!isObject(config)) {
+        error([], 'config must be a mapping with devices and settings');
+        return;
+    }
+    checkKeys(config, ['devices', 'settings', 'alerts'], []);
+
+    if (!Array.isArray(config.devices) || config.devices.length === 0) {
+        error(config.devices === undefined ? [] : ['devices'], 'devices must be a non-empty list');
+    } else {
+        const names = new Map();
+        config.devices.forEach((device, d) => {
+            const at = ['devices', d];
+            if (!isObject(device)) return error(at, 'device must be a mapping');
+            checkKeys(device, DEVICE_KEYS, at);
+            checkString(device, 'name', at, true);
+            if (isString(device.name)) {
+                if (names.has(device.name)) error([...at, 'name'], `duplicate device name '${device.name}' (also devices[${names.get(device.name)}])`);
+                else names.set(device.name, d);
+            }
+            checkString(device, 'host', at, true);
+            if (isString(device.host) && !net.isIP(device.host) && !HOSTNAME.test(device.host)) error([...at, 'host'], `host '${device.host}' is not a valid hostname or IP address`);
+            checkInteger(device, 'port', at, 1, 65535);
+            checkInteger(device, 'timeout', at, 100, 60000);
+            checkInteger(device, 'retries', at, 0, 10);
+            checkInteger(device, 'poll_interval', at, 1, 86400);
+            checkInteger(device, 'max_oids', at, 1, 1000);
+            checkOneOf(device, 'version', at, ['1', '2', '2c', '3']);
+            if (String(device.version) === '3') {
+                checkString(device, 'user', at, true);
+                checkOneOf(device, 'auth_protocol', at, AUTH_PROTOCOLS);
+                checkOneOf(device, 'priv_protocol', at, PRIV_PROTOCOLS);
+            } else {
+                checkString(device, 'community', at);
+            }
+            checkMetrics(device, at);
+            if (!Array.isArray(device.interfaces) || device.interfaces.length === 0) {
+                error(device.interfaces === undefined ? at : [...at, 'interfaces'], 'interfaces must be a non-empty list');
+                return;
+            }
+            const indexes = new Map();
+            device.interfaces.forEach((iface, i) => {
+                const ifAt = [...at, 'interfaces', i];
+                if (!isObject(iface)) return error(ifAt, 'interface must be a mapping');
+                checkKeys(iface, INTERFACE_KEYS, ifAt);
+                checkInteger(iface, 'index', ifAt, 1, 2147483647, true);
+                checkString(iface, 'name', ifAt, true);
+                const identities = IDENTITY_KEYS.filter((key) => iface[key] !== undefined && iface[key] !== null);
+                if (identities.length > 1) error([...ifAt, identities[1]], `only one of ${IDENTITY_KEYS.join(', ')} may be given`);
+                for (const key of identities) {
+                    if (typeof iface[key] !== 'string' && typeof iface[key] !== 'number') error([...ifAt, key], 'must be a string');
+                    else if (key === 'mac' && !normalizeMac(iface[key])) error([...ifAt, key], `'${iface[key]}' is not a MAC address`);
+                }
+                if (iface.billing !== undefined && iface.billing !== null) {
+                    const billingAt = [...ifAt, 'billing'];
+                    if (!isObject(iface.billing)) error(billingAt, 'billing must be a mapping with day and/or cap');
+                    else {
+                        checkKeys(iface.billing, ['day', 'cap'], billingAt);
+                        checkInteger(iface.billing, 'day', billingAt, 1, 28);
+                        if (iface.billing.cap !== undefined) {
+                            try {
+                                parseBytes(iface.billing.cap);
+                            } catch (err) {
+                                error([...billingAt, 'cap'], 'must be a size such as 500GB, 1.5TB, 2TiB');
+                            }
+                        }
+                    }
+                }
+                checkMetrics(iface, ifAt);
+                if (Number.isInteger(iface.index)) {
+                    if (indexes.has(iface.index)) error([...ifAt, 'index'], `duplicate interface index ${iface.index} (also interfaces[${indexes.get(iface.index)}])`);
+                    else indexes.set(iface.index, i);
+                }
+            });
+        });
+    }
+
+    const settings = config.settings;
+    if (!isObject(settings)) {
+        error(settings === undefined ? [] : ['settings'], 'settings must be a mapping');
+    } else {
+        const at = ['settings'];
+        checkKeys(settings, SETTINGS_KEYS, at);
+        checkString(settings, 'database', at, true);
+        checkInteger(settings, 'poll_interval', at, 1, 86400, true);
+        checkInteger(settings, 'poll_jitter', at, 0, 3600);
+        checkOneOf(settings, 'poll_overlap', at, OVERLAP_MODES);
+        checkInteger(settings, 'max_oids', at, 1, 1000);
+        checkInteger(settings, 'report_interval', at, 0, 86400);
+        checkInteger(settings, 'checkpoint_interval', at, 10, 7 * 86400);
+        checkInteger(settings, 'http_port', at, 1, 65535);
+        checkString(settings, 'http_host', at);
+        checkString(settings, 'secrets', at);
+        if (settings.retention !== undefined && settings.retention !== null) {
+            if (!isObject(settings.retention)) error([...at, 'retention'], 'retention must be a mapping of tier to duration');
+            else {
+                checkKeys(settings.retention, ['raw', ...TIERS.map((t) => t.name), 'metrics'], [...at, 'retention']);
+                for (const tier of Object.keys(settings.retention)) checkDuration(settings.retention, tier, [...at, 'retention']);
+            }
+        }
+    }
+
+    if (config.alerts !== undefined && config.alerts !== null) {
+        const alerts = config.alerts;
+        if (!isObject(alerts)) return error(['alerts'], 'alerts must be a mapping');
+        checkKeys(alerts, ['notify', 'notifiers', 'rules'], ['alerts']);
+        const notifiers = new Set(['log', ...Object.keys(isObject(alerts.notifiers) ? alerts.notifiers : {})]);
+        for (const [name, notifier] of Object.entries(isObject(alerts.notifiers) ? alerts.notifiers : {})) {
+            const at = ['alerts', 'notifiers', name];
+            if (!isObject(notifier)) error(at, 'notifier must be a mapping');
+            else if (!NOTIFIER_TYPES.includes(notifier.type)) error(notifier.type === undefined ? at : [...at, 'type'], `type must be one of ${NOTIFIER_TYPES.join(', ')}`);
+            else if (notifier.type === 'command') checkString(notifier, 'command', at, true);
+            else if (notifier.type === 'webhook') checkString(notifier, 'url', at, true);
+        }
+        const checkNotify = (obj, at) => {
+            for (const name of [].concat(obj.notify || [])) if (!notifiers.has(name)) error([...at, 'notify'], `unknown notifier '${name}'`);
+        };
+        checkNotify(alerts, ['alerts']);
+        if (alerts.rules !== undefined && !Array.isArray(alerts.rules)) error(['alerts', 'rules'], 'rules must be a list');
+        const names = new Set();
+        (Array.isArray(alerts.rules) ? alerts.rules : []).forEach((rule, r) => {
+            const at = ['alerts', 'rules', r];
+            if (!isObject(rule)) return error(at, 'rule must be a mapping');
+            checkString(rule, 'name', at, true);
+            if (names.has(rule.name)) error([...at, 'name'], `duplicate rule name '${rule.name}'`);
+            names.add(rule.name);
+            if (!RULE_TYPES[rule.type]) error(rule.type === undefined ? at : [...at, 'type'], `type must be one of ${Object.keys(RULE_TYPES).join(', ')}`);
+            else if (rule.threshold === undefined && RULE_TYPES[rule.type].defaultThreshold === undefined) error(at, 'threshold is required');
+            for (const key of ['threshold', 'clear', 'min_rate']) if (rule[key] !== undefined && typeof rule[key] !== 'number') error([...at, key], 'must be a number');
+            if (typeof rule.threshold === 'number' && typeof rule.clear === 'number' && rule.clear > rule.threshold) error([...at, 'clear'], 'clear must not be above the threshold');
+            checkOneOf(rule, 'direction', at, ['rx', 'tx', 'any']);
+            checkDuration(rule, 'for', at);
+            checkDuration(rule, 'clear_for', at);
+            checkNotify(rule, at);
+        });
+    }
+}
+
+// Parse and validate config text: { config, errors, warnings } with 'file:line:col: path: message' strings
+function checkConfig(text, file = 'config.yaml') {
+    const lineCounter = new YAML.LineCounter();
+    const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false });
+    const errors = [];
+    const warnings = [];
+    if (doc.errors.length > 0) {
+        for (const err of doc.errors) {
+            const pos = err.linePos ? `${err.linePos[0].line}:${err.linePos[0].col}` : '1:1';
+            errors.push(`${file}:${pos}: ${err.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`);
+        }
+        return { config: null, errors, warnings };
+    }
+
+    // The nearest node that exists along a path, for missing fields
+    const locate = (at) => {
+        for (let n = at.length; n >= 0; n--) {
+            const node = n === 0 ? doc.contents : doc.getIn(at.slice(0, n), true);
+            if (node && node.range) {
+                const { line, col } = lineCounter.linePos(node.range[0]);
+                return `${file}:${line}:${col}`;
+            }
+        }
+        return file;
+    };
+    const describe = (at) => at.reduce((s, k) => (typeof k === 'number' ? `${s}[${k}]` : s ? `${s}.${k}` : k), '');
+    const format = (at, message) => `${locate(at)}: ${at.length > 0 ? `${describe(at)}: ` : ''}${message}`;
+
+    const config = doc.toJS();
+    validate(config, {
+        error: (at, message) => errors.push(format(at, message)),
+        warn: (at, message) => warnings.push(format(at, message)),
+    });
+    return { config, errors, warnings };
+}
+
+// Read (unless the text is given) and validate a config file, throwing a ConfigError listing every problem
+function loadConfig(configPath, { text, onWarning = (msg) => console.error(`Warning: ${msg}`) } = {}) {
+    if (text === undefined) {
+        if (!fs.existsSync(configPath)) throw new ConfigError(configPath, ['file not found']);
+        text = fs.readFileSync(configPath, 'utf8');
+    }
+    const { config, errors, warnings } = checkConfig(text, configPath);
+    for (const warning of warnings) onWarning(warning);
+    if (errors.length > 0) throw new ConfigError(configPath, errors);
+    return config;
+}
+
+module.exports = { ConfigError, resolveConfigPath, checkConfig, loadConfig };
@@ -0,0 +1,105 @@
+// Counter accounting shared by poller.js and traffic.js
+//
+// Volumes are the sum of differences between consecutive samples rather than
+// MAX - MIN over a window, so a device reboot or counter reset only loses the
+// traffic of one poll interval instead of corrupting the whole period.
+
+const COUNTER32 = 2 ** 32;
+const TIMETICKS = 2 ** 32;
+
+// Counters added after the initial schema, in sample columns after sys_uptime: NULL in samples taken
+// before they were polled or from devices without them, so they only ever contribute 0
+const EXTENDED_COUNTERS = [
+    { column: 'in_discards', key: 'rxDiscards', value: 'inDiscards', bits: 32 },
+    { column: 'out_discards', key: 'txDiscards', value: 'outDiscards', bits: 32 },
+    { column: 'in_multicast', key: 'rxMulticast', value: 'inMulticast', bits: 64 },
+    { column: 'out_multicast', key: 'txMulticast', value: 'outMulticast', bits: 64 },
+    { column: 'in_broadcast', key: 'rxBroadcast', value: 'inBroadcast', bits: 64 },
+    { column: 'out_broadcast', key: 'txBroadcast', value: 'outBroadcast', bits: 64 },
+    { column: 'in_unknown_protos', key: 'unknownProtos', value: 'inUnknownProtos', bits: 32 },
+];
+
+const SAMPLE_COLUMNS = `timestamp, in_octets, out_octets, in_packets, out_packets, in_errors, out_errors, sys_uptime, ${EXTENDED_COUNTERS.map((c) => c.column).join(', ')}`;
+// The totals of a delta, in the order of the counter columns of samples and the rollup tables
+const COUNTER_KEYS = ['rx', 'tx', 'rxPackets', 'txPackets', 'rxErrors', 'txErrors', ...EXTENDED_COUNTERS.map((c) => c.key)];
+
+// Has the device restarted between two samples? null when sysUpTime wasn't polled for either
+function isReset(prev, curr) {
+    const [t1, , , , , , , up1] = prev;
+    const [t2, , , , , , , up2] = curr;
+    if (up1 === null || up1 === undefined || up2 === null || up2 === undefined) return null;
+    if (up2 >= up1) return false;
+    // sysUpTime is TimeTicks (1/100s) and itself wraps after ~497 days
+    return up1 + (t2 - t1) * 100 < TIMETICKS;
+}
+
+function counterDelta(prev, curr, bits, reset) {
+    if (prev === null || prev === undefined || curr === null || curr === undefined) return 0;
+    if (reset === true) return curr;
+    const delta = curr - prev;
+    if (delta >= 0) return delta;
+    if (bits === 32) {
+        // Known no-reset means a wrap; without sysUpTime, only a counter in its upper half is taken to have wrapped
+        if (reset === false || prev >= COUNTER32 / 2) return delta + COUNTER32;
+    }
+    return curr;
+}
+
+function sampleDelta(prev, curr) {
+    const reset = isReset(prev, curr);
+    const delta = {
+        duration: curr[0] - prev[0],
+        rx: counterDelta(prev[1], curr[1], 64, reset),
+        tx: counterDelta(prev[2], curr[2], 64, reset),
+        rxPackets: counterDelta(prev[3], curr[3], 64, reset),
+        txPackets: counterDelta(prev[4], curr[4], 64, reset),
+        rxErrors: counterDelta(prev[5], curr[5], 32, reset),
+        txErrors: counterDelta(prev[6], curr[6], 32, reset),
+        reset: reset === true || curr[1] < prev[1] || curr[2] < prev[2],
+    };
+    EXTENDED_COUNTERS.forEach((c, i) => (delta[c.key] = counterDelta(prev[8 + i], curr[8 + i], c.bits, reset)));
+    return delta;
+}
+
+// Samples in [since, until) plus the one before, so that every delta ending inside the window is counted
+function getSamples(db, device, ifaceIndex, since, until = Number.MAX_SAFE_INTEGER, columns = SAMPLE_COLUMNS) {
+    const result = db.exec(
+        `
+        SELECT ${columns}
+        FROM samples
+        WHERE device_name = ? AND interface_index = ? AND timestamp < ?
+          AND timestamp >= COALESCE((SELECT MAX(timestamp) FROM samples WHERE device_name = ? AND interface_index = ? AND timestamp < ?), ?)
+        ORDER BY timestamp
+    `,
+        [device, ifaceIndex, until, device, ifaceIndex, since, since]
+    );
+    return result.length ? result[0].values : [];
+}
+
+function emptyTotals() {
+    return Object.fromEntries([...COUNTER_KEYS, 'duration', 'resets'].map((key) => [key, 0]));
+}
+
+function accumulate(rows) {
+    const total = emptyTotals();
+    for (let i = 1; i < rows.length; i++) {
+        const d = sampleDelta(rows[i - 1], rows[i]);
+        if (d.duration <= 0) continue;
+        for (const key of COUNTER_KEYS) total[key] += d[key];
+        total.duration += d.duration;
+        if (d.reset) total.resets++;
+    }
+    return total;
+}
+
+// Add the extended counter columns a table created before them is missing; returns how many were added
+function addCounterColumns(db, table, type = 'INTEGER') {
+    const info = db.exec(`PRAGMA table_info(${table})`);
+    if (!info.length) return 0;
+    const columns = info[0].values.map((row) => row[1]);
+    const missing = EXTENDED_COUNTERS.filter((c) => !columns.includes(c.column));
+    for (const c of missing) db.run(`ALTER TABLE ${table} ADD COLUMN ${c.column} ${type}`);
+    return missing.length;
+}
+
+module.exports = { EXTENDED_COUNTERS, SAMPLE_COLUMNS, COUNTER_KEYS, isReset, counterDelta, sampleDelta, getSamples, emptyTotals, accumulate, addCounterColumns };
@@ -0,0 +1,139 @@
+// Persistence for the in-memory sql.js database
+//
+// Every change is appended to a journal next to the database file and replayed
+// when the database is opened. The database file itself is only rewritten at
+// checkpoints, by writing a temporary file and renaming it over the old one, after
+// which the journal is truncated. Journal entries carry a sequence number and the
+// last checkpointed sequence is stored in the database, so a crash between the
+// rename and the truncate does not replay anything twice.
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+function readJournal(journalPath, onError) {
+    if (!fs.existsSync(journalPath)) return [];
+    const entries = [];
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i]) continue;
+        try {
+            entries.push(JSON.parse(lines[i]));
+        } catch (err) {
+            // A torn final line is expected after a crash mid-append; anything else is reported
+            if (i < lines.length - 1) onError(`journal line ${i + 1}: ${err.message}`);
+        }
+    }
+    return entries;
+}
+
+function fsyncPath(p) {
+    const fd = fs.openSync(p, 'r');
+    try {
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Named apart from SQLite's own rollback journal (-journal), which the sqlite3 CLI would take as hot
+function journalFile(dbPath) {
+    return `${dbPath}.journal.jsonl`;
+}
+
+async function openDatabase(dbPath, { readonly = false, onError = () => {} } = {}) {
+    const SQL = await initSqlJs();
+    let journalPath = journalFile(dbPath);
+    // A journal from before the rename is taken over by the poller, and read where it is until then
+    const legacyPath = `${dbPath}-journal`;
+    if (!fs.existsSync(journalPath) && fs.existsSync(legacyPath)) {
+        if (readonly) journalPath = legacyPath;
+        else fs.renameSync(legacyPath, journalPath);
+    }
+
+    // Read the journal before the database: if a checkpoint happens in between, the newer
+    // database already holds (and is marked as holding) everything the older journal has
+    const entries = readJournal(journalPath, onError);
+    const existed = fs.existsSync(dbPath);
+    const raw = existed ? new SQL.Database(fs.readFileSync(dbPath)) : new SQL.Database();
+
+    raw.run('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value)');
+    const stored = raw.exec(`SELECT value FROM meta WHERE key = 'journal_seq'`);
+    let seq = stored.length ? stored[0].values[0][0] : 0;
+    let replayed = 0;
+    for (const [n, sql, params] of entries) {
+        if (n <= seq) continue;
+        try {
+            raw.run(sql, params);
+            replayed++;
+        } catch (err) {
+            onError(`journal replay #${n}: ${err.message}`);
+        }
+        seq = n;
+    }
+
+    let pending = [];
+    let transaction = null;
+    let journalFd = null;
+
+    const handle = {
+        existed,
+        replayed,
+        exec: (sql, params) => raw.exec(sql, params),
+        getRowsModified: () => raw.getRowsModified(),
+        run(sql, params = []) {
+            raw.run(sql, params);
+            if (readonly) return handle;
+            const verb = sql.trim().split(/\s+/)[0].toUpperCase();
+            if (verb === 'BEGIN') {
+                transaction = [];
+            } else if (verb === 'COMMIT') {
+                pending.push(...(transaction || []));
+                transaction = null;
+            } else if (verb === 'ROLLBACK') {
+                transaction = null;
+            } else if (verb !== 'VACUUM') {
+                (transaction || pending).push([++seq, sql.replace(/\s+/g, ' ').trim(), params]);
+            }
+            return handle;
+        },
+        // Append pending changes to the journal: cheap, and independent of the database size
+        flush() {
+            if (readonly || pending.length === 0) return;
+            if (journalFd === null) journalFd = fs.openSync(journalPath, 'a');
+            fs.writeSync(journalFd, pending.map((entry) => JSON.stringify(entry)).join('\n') + '\n');
+            fs.fdatasyncSync(journalFd);
+            pending = [];
+        },
+        // Write the whole database atomically and start a fresh journal
+        checkpoint() {
+            if (readonly) return;
+            handle.flush();
+            raw.run(`INSERT OR REPLACE INTO meta (key, value) VALUES ('journal_seq', ?)`, [seq]);
+            const tmpPath = `${dbPath}.tmp`;
+            const fd = fs.openSync(tmpPath, 'w');
+            try {
+                fs.writeSync(fd, Buffer.from(raw.export()));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tmpPath, dbPath);
+            try {
+                fsyncPath(path.dirname(dbPath));
+            } catch (err) {
+                // Directory fsync is not supported everywhere; the rename is still atomic
+            }
+            if (journalFd === null) journalFd = fs.openSync(journalPath, 'a');
+            fs.ftruncateSync(journalFd, 0);
+        },
+        close() {
+            if (journalFd !== null) fs.closeSync(journalFd);
+            journalFd = null;
+            raw.close();
+        },
+    };
+    return handle;
+}
+
+module.exports = { journalFile, openDatabase };
@@ -1,76 +1,356 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
 const snmp = require('net-snmp');
+const { AUTH_PROTOCOLS, PRIV_PROTOCOLS, loadSecrets, resolveCredentials, createSession } = require('./session');
+const { resolveConfigPath, loadConfig } = require('./config');
+const { interfaceEnabled, deviceName, deviceLines, mergeConfig } = require('./merge');
 
-const targets = process.argv.slice(2);
+const args = process.argv.slice(2);
+const optionArgs = new Set();
 
-if (targets.length === 0) {
-    console.error('Usage: ./discover.js <host[:community]> [host[:community]] ...');
+// --name=value or --name value, for options that take one; '' when the value is missing
+function option(name) {
+    const i = args.findIndex((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+    if (i < 0) return null;
+    if (args[i].includes('=')) return args[i].substring(args[i].indexOf('=') + 1);
+    if (args[i + 1] === undefined || args[i + 1].startsWith('--')) return '';
+    optionArgs.add(i + 1);
+    return args[i + 1];
+}
+
+const secretsArg = args.find((a) => a.startsWith('--secrets='));
+const mergePath = option('merge');
+const writeMerge = args.includes('--write');
+const scanArg = option('scan');
+const scanConcurrency = parseInt(option('concurrency')) || 32;
+const scanTimeout = parseInt(option('timeout')) || 1000;
+const targets = args.filter((a, i) => !a.startsWith('--') && !optionArgs.has(i));
+
+const missingValue = [['merge', mergePath], ['scan', scanArg]].find(([, value]) => value === '');
+if (missingValue) console.error(`--${missingValue[0]} needs a value\n`);
+if (missingValue || (targets.length === 0 && !mergePath && !scanArg)) {
+    console.error('Usage: ./discover.js [--secrets=<file>] <target> [target] ...');
+    console.error('       ./discover.js --scan <cidr>[:community] [--concurrency=32] [--timeout=1000] [target] ...');
+    console.error('       ./discover.js --merge <config.yaml> [--write] [--scan ...] [target] ...');
+    console.error('  host[:community]               SNMPv2c (community defaults to public)');
+    console.error('  user@host[:auth[:priv]]        SNMPv3, auth: ' + AUTH_PROTOCOLS.join('/') + ', priv: ' + PRIV_PROTOCOLS.join('/'));
+    console.error('');
     console.error('  e.g. ./discover.js 192.168.0.128');
     console.error('  e.g. ./discover.js 192.168.0.128:public 192.168.0.107:private');
+    console.error('  e.g. SNMP_AUTH_KEY=... SNMP_PRIV_KEY=... ./discover.js poller@192.168.0.107:sha:aes');
+    console.error('  e.g. ./discover.js --scan 192.168.0.0/24:public');
+    console.error('');
+    console.error('SNMPv3 keys come from the secrets file (entries keyed by host) or from');
+    console.error('SNMP_AUTH_KEY / SNMP_PRIV_KEY; without keys the user is noAuthNoPriv.');
+    console.error('');
+    console.error('Devices are named from sysName and interfaces from ifAlias (else ifName).');
+    console.error('Interfaces that are down, not Ethernet or aliased n/c are commented out.');
     console.error('');
     console.error('Output is YAML config format. Redirect to save:');
     console.error('  ./discover.js 192.168.0.128 192.168.0.107 > config.yaml');
+    console.error('');
+    console.error('With --merge, the configured devices (and any targets) are rediscovered and');
+    console.error('new devices and interfaces are added to the config as commented-out entries,');
+    console.error('keeping existing names, comments and settings. Configured interfaces that no');
+    console.error('longer exist are flagged. Prints a diff, or with --write updates the file.');
+    console.error('');
+    console.error('--scan probes every address in the subnet (SNMPv2c) and discovers the hosts');
+    console.error('that answer; --timeout is per probe in milliseconds.');
     process.exit(1);
 }
 
-const OID_ifDescr = '1.3.6.1.2.1.2.2.1.2';
+function parseTarget(target, secrets) {
+    if (target.includes('@')) {
+        const [user, rest] = target.split('@');
+        const [host, authProtocol, privProtocol] = rest.split(':');
+        const fromSecrets = resolveCredentials({ host }, secrets);
+        const device = { host, version: 3, user, ...fromSecrets, keysFromEnv: [] };
+        if (authProtocol) device.auth_protocol = authProtocol;
+        if (privProtocol) device.priv_protocol = privProtocol;
+        if (!device.auth_key && process.env.SNMP_AUTH_KEY) {
+            device.auth_key = process.env.SNMP_AUTH_KEY;
+            device.keysFromEnv.push(['auth_key', 'SNMP_AUTH_KEY']);
+        }
+        if (!device.priv_key && process.env.SNMP_PRIV_KEY) {
+            device.priv_key = process.env.SNMP_PRIV_KEY;
+            device.keysFromEnv.push(['priv_key', 'SNMP_PRIV_KEY']);
+        }
+        return device;
+    }
+    let host, community;
+    if (target.includes(':')) {
+        [host, community] = target.split(':');
+    } else {
+        host = target;
+        community = 'public';
+    }
+    return { host, community, ...resolveCredentials({ host }, secrets) };
+}
+
+const OID_sysDescr = '1.3.6.1.2.1.1.1.0';
+const OID_sysName = '1.3.6.1.2.1.1.5.0';
+const COLUMNS = {
+    descr: '1.3.6.1.2.1.2.2.1.2',
+    type: '1.3.6.1.2.1.2.2.1.3',
+    operStatus: '1.3.6.1.2.1.2.2.1.8',
+    name: '1.3.6.1.2.1.31.1.1.1.1',
+    speedMbps: '1.3.6.1.2.1.31.1.1.1.15',
+    alias: '1.3.6.1.2.1.31.1.1.1.18',
+};
 
-function discoverDevice(host, community) {
+function walkColumn(session, oid) {
     return new Promise((resolve, reject) => {
-        const session = snmp.createSession(host, community, {
-            timeout: 5000,
-            version: snmp.Version2c
-        });
-        
-        const interfaces = [];
-        
-        session.subtree(OID_ifDescr, (varbinds) => {
+        const values = {};
+        session.subtree(oid, (varbinds) => {
             for (const vb of varbinds) {
                 if (snmp.isVarbindError(vb)) {
                     continue;
                 }
-                const oid = Array.isArray(vb.oid) ? vb.oid.join('.') : vb.oid.toString();
-                const index = parseInt(oid.split('.').pop());
-                const name = vb.value.toString();
-                interfaces.push({ index, name });
+                const vbOid = Array.isArray(vb.oid) ? vb.oid.join('.') : vb.oid.toString();
+                values[parseInt(vbOid.split('.').pop())] = Buffer.isBuffer(vb.value) ? vb.value.toString().trim() : vb.value;
             }
-        }, (error) => {
-            session.close();
-            
+        }, (error) => error ? reject(error) : resolve(values));
+    });
+}
+
+function getScalars(session, oids) {
+    return new Promise((resolve, reject) => {
+        session.get(oids, (error, varbinds) => {
             if (error) {
-                reject(new Error(`${host}: ${error.message}`));
+                reject(error);
                 return;
             }
-            
-            interfaces.sort((a, b) => a.index - b.index);
-            resolve({ host, community, interfaces });
+            resolve(varbinds.map(vb => snmp.isVarbindError(vb) ? null : vb.value.toString().trim()));
         });
     });
 }
 
-async function main() {
-    const devices = [];
-    
-    for (const target of targets) {
-        let host, community;
-        if (target.includes(':')) {
-            [host, community] = target.split(':');
-        } else {
-            host = target;
-            community = 'public';
+async function discoverDevice(target) {
+    const host = target.host;
+    const session = createSession(target);
+    try {
+        const [sysDescr, sysName] = await getScalars(session, [OID_sysDescr, OID_sysName]);
+        
+        // ifDescr exists on every agent; the other columns (ifXTable especially) may not
+        const columns = {};
+        for (const [key, oid] of Object.entries(COLUMNS)) {
+            try {
+                columns[key] = await walkColumn(session, oid);
+            } catch (err) {
+                if (key === 'descr') throw err;
+                columns[key] = {};
+            }
         }
         
-        console.error(`Discovering ${host}...`);
+        const interfaces = Object.keys(columns.descr).map(Number).sort((a, b) => a - b).map(index => ({
+            index,
+            descr: columns.descr[index],
+            name: columns.name[index] || null,
+            alias: columns.alias[index] || null,
+            type: columns.type[index] !== undefined ? columns.type[index] : null,
+            operStatus: columns.operStatus[index] !== undefined ? columns.operStatus[index] : null,
+            speedMbps: columns.speedMbps[index] !== undefined ? columns.speedMbps[index] : null,
+        }));
+        return { ...target, sysName, sysDescr, interfaces };
+    } catch (err) {
+        throw new Error(`${host}: ${err.message}`);
+    } finally {
+        session.close();
+    }
+}
+
+// Give each device a name not already taken, suffixing the address where sysNames collide
+function assignNames(devices, taken = []) {
+    const used = new Set(taken);
+    for (const device of devices) {
+        let name = deviceName(device);
+        if (used.has(name)) name = `${name}-${device.host.split('.').pop()}`;
+        for (let n = 2; used.has(name); n++) name = `${deviceName(device)}-${n}`;
+        used.add(name);
+        device.configName = name;
+    }
+}
+
+// Minimal unified diff (LCS over lines) for previewing a merge
+function unifiedDiff(before, after, name) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) ops.push([' ', a[i++], j++]);
+        else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push(['-', a[i++], j]);
+        else ops.push(['+', b[j++], i]);
+    }
+    const out = [`--- ${name}`, `+++ ${name} (merged)`];
+    const CONTEXT = 3;
+    let k = 0;
+    while (k < ops.length) {
+        if (ops[k][0] === ' ') {
+            k++;
+            continue;
+        }
+        let start = Math.max(0, k - CONTEXT);
+        let end = k;
+        while (end < ops.length) {
+            if (ops[end][0] !== ' ') {
+                end++;
+                continue;
+            }
+            let run = end;
+            while (run < ops.length && ops[run][0] === ' ') run++;
+            if (run === ops.length || run - end > CONTEXT * 2) break;
+            end = run;
+        }
+        end = Math.min(ops.length, end + CONTEXT);
+        const hunk = ops.slice(start, end);
+        const oldStart = ops.slice(0, start).filter(op => op[0] !== '+').length + 1;
+        const newStart = ops.slice(0, start).filter(op => op[0] !== '-').length + 1;
+        out.push(`@@ -${oldStart},${hunk.filter(op => op[0] !== '+').length} +${newStart},${hunk.filter(op => op[0] !== '-').length} @@`);
+        for (const [op, line] of hunk) out.push(op + line);
+        k = end;
+    }
+    return out.join('\n');
+}
+
+function writeAtomic(file, text) {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    const fd = fs.openSync(tmp, 'w', fs.statSync(file).mode);
+    try {
+        fs.writeSync(fd, text);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+}
+
+// Host addresses of an IPv4 CIDR block, without the network and broadcast addresses
+function expandCidr(cidr) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?:\/(\d{1,2}))?$/.exec(cidr);
+    if (!match || match.slice(1, 5).some(o => parseInt(o) > 255)) throw new Error(`Invalid subnet: ${cidr}`);
+    const bits = match[5] === undefined ? 32 : parseInt(match[5]);
+    if (bits < 16 || bits > 32) throw new Error(`Subnet too large or invalid: ${cidr} (/16 to /32)`);
+    const base = match.slice(1, 5).reduce((n, o) => n * 256 + parseInt(o), 0);
+    const size = 2 ** (32 - bits);
+    const network = base - (base % size);
+    const first = size > 2 ? network + 1 : network;
+    const last = size > 2 ? network + size - 2 : network + size - 1;
+    const hosts = [];
+    for (let n = first; n <= last; n++) {
+        hosts.push([n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.'));
+    }
+    return hosts;
+}
+
+const OID_sysObjectID = '1.3.6.1.2.1.1.2.0';
+
+function probe(host, community) {
+    return new Promise((resolve) => {
+        const session = createSession({ host, community, timeout: scanTimeout, retries: 0 });
+        session.on('error', () => {});
+        session.get([OID_sysObjectID, OID_sysName], (error, varbinds) => {
+            session.close();
+            if (error) {
+                resolve(null);
+                return;
+            }
+            const [objectId, name] = varbinds.map(vb => snmp.isVarbindError(vb) ? null : vb.value.toString());
+            resolve({ host, community, sysObjectID: objectId, sysName: name });
+        });
+    });
+}
+
+// Probe every address of a subnet, a bounded number at a time, and return those that answered
+async function scan(spec) {
+    const [cidr, community = 'public'] = spec.split(':');
+    const hosts = expandCidr(cidr);
+    console.error(`Scanning ${hosts.length} addresses in ${cidr} (concurrency ${scanConcurrency}, timeout ${scanTimeout}ms)...`);
+    const found = [];
+    let next = 0;
+    const worker = async () => {
+        while (next < hosts.length) {
+            const result = await probe(hosts[next++], community);
+            if (result) {
+                found.push(result);
+                console.error(`  ${result.host.padEnd(15)}  ${result.sysName || '-'}  ${result.sysObjectID || ''}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(scanConcurrency, hosts.length) }, worker));
+    console.error(`  ${found.length} of ${hosts.length} answered\n`);
+    return found.sort((a, b) => hosts.indexOf(a.host) - hosts.indexOf(b.host)).map(({ host }) => ({ host, community }));
+}
+
+async function discoverAll(list) {
+    const devices = [];
+    for (const device of list) {
+        console.error(`Discovering ${device.host}...`);
         
         try {
-            const result = await discoverDevice(host, community);
+            const result = await discoverDevice(device);
             devices.push(result);
-            console.error(`  Found ${result.interfaces.length} interfaces`);
+            console.error(`  ${result.sysName || result.host}: found ${result.interfaces.length} interfaces, ${result.interfaces.filter(interfaceEnabled).length} enabled`);
         } catch (err) {
             console.error(`  Error: ${err.message}`);
         }
     }
+    return devices;
+}
+
+// Rediscover the devices of an existing config and fold the results into it, preserving its text
+async function merge(configPath) {
+    const config = loadConfig(configPath);
+    const text = fs.readFileSync(configPath, 'utf8');
+    const secrets = loadSecrets(secretsArg ? secretsArg.split('=')[1] : resolveConfigPath(config.settings.secrets));
+    
+    const list = config.devices.map(device => ({ ...device, ...resolveCredentials(device, secrets) }));
+    const extra = targets.map(target => parseTarget(target, secrets));
+    if (scanArg) extra.push(...(await scan(scanArg)).map(target => ({ ...target, ...resolveCredentials(target, secrets) })));
+    for (const device of extra) {
+        if (!list.some(d => d.host === device.host)) list.push(device);
+    }
+    const discovered = await discoverAll(list);
+    assignNames(discovered.filter(device => !config.devices.some(c => c.host === device.host)), config.devices.map(c => c.name));
+    const { text: merged, changes } = mergeConfig(text, config, discovered, new Date().toISOString().substring(0, 10));
+    
+    if (merged === text) {
+        console.error(`${configPath} is up to date`);
+        return;
+    }
+    console.error(changes.map(c => `  ${c}`).join('\n'));
+    if (writeMerge) {
+        writeAtomic(configPath, merged);
+        console.error(`Updated ${configPath}`);
+    } else {
+        console.log(unifiedDiff(text, merged, configPath));
+        console.error('\nRun again with --write to update the file');
+    }
+}
+
+async function main() {
+    if (mergePath) {
+        await merge(mergePath);
+        return;
+    }
+    
+    const secrets = loadSecrets(secretsArg ? secretsArg.split('=')[1] : null);
+    const list = targets.map(target => parseTarget(target, secrets));
+    if (scanArg) {
+        for (const target of await scan(scanArg)) {
+            if (!list.some(d => d.host === target.host)) list.push({ ...target, ...resolveCredentials(target, secrets) });
+        }
+    }
+    const devices = await discoverAll(list);
+    assignNames(devices);
     
     if (devices.length === 0) {
         console.error('\nNo devices discovered');
@@ -86,19 +366,8 @@ async function main() {
     console.log('devices:');
     
     for (const device of devices) {
-        // Generate a device name from last octet or hostname
-        const nameParts = device.host.split('.');
-        const deviceName = `device-${nameParts[nameParts.length - 1]}`;
-        
-        console.log(`  - name: ${deviceName}`);
-        console.log(`    host: ${device.host}`);
-        console.log(`    community: ${device.community}`);
-        console.log('    interfaces:');
-        
-        for (const iface of device.interfaces) {
-            const prefix = iface.name.startsWith('n/c') ? '      # ' : '      ';
-            console.log(`${prefix}- index: ${iface.index}`);
-            console.log(`${prefix}  name: ${iface.name}`);
+        for (const line of deviceLines(device)) {
+            console.log(`  ${line}`);
         }
         console.log('');
     }
@@ -0,0 +1,139 @@
+// Interface and device state transitions recorded by the poller
+//
+// The poller reports what it saw on every poll and the tracker records a row in the
+// events table only when something changed: link up/down, speed renegotiation, an
+// interface no longer answering, the device becoming unreachable or reachable, and
+// an interface identified by name or MAC moving to a different ifIndex. The last
+// known state is read back from the database, so a restart does not record spurious
+// transitions.
+
+const OPER_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+
+function operStatusName(value) {
+    return OPER_STATUS[value] || String(value);
+}
+
+function createEventsTable(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            timestamp INTEGER NOT NULL,
+            device_name TEXT NOT NULL,
+            interface_index INTEGER,
+            interface_name TEXT,
+            type TEXT NOT NULL,
+            previous TEXT,
+            current TEXT,
+            detail TEXT
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_events_device_interface ON events(device_name, interface_index)`);
+}
+
+function queryRow(db, sql, params) {
+    const result = db.exec(sql, params);
+    return result.length ? result[0].values[0] : null;
+}
+
+function createEventTracker(db, log = () => {}) {
+    const interfaces = new Map();
+    const devices = new Map();
+
+    function record(timestamp, device, iface, type, previous, current, detail = null) {
+        db.run(`INSERT INTO events (timestamp, device_name, interface_index, interface_name, type, previous, current, detail) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, [
+            timestamp,
+            device.name,
+            iface ? iface.index : null,
+            iface ? iface.name : null,
+            type,
+            previous === null ? null : String(previous),
+            current === null ? null : String(current),
+            detail,
+        ]);
+        log(`Event: ${iface ? `${device.name}/${iface.name}` : device.name} ${type}${previous !== null || current !== null ? ` ${previous} -> ${current}` : ''}`);
+    }
+
+    function interfaceState(device, iface) {
+        const key = `${device.name}/${iface.index}`;
+        if (!interfaces.has(key)) {
+            const status = queryRow(db, `SELECT oper_status FROM samples WHERE device_name = ? AND interface_index = ? ORDER BY timestamp DESC LIMIT 1`, [device.name, iface.index]);
+            const speed = queryRow(db, `SELECT speed_mbps FROM samples WHERE device_name = ? AND interface_index = ? AND speed_mbps > 0 ORDER BY timestamp DESC LIMIT 1`, [device.name, iface.index]);
+            const presence = queryRow(db, `SELECT type FROM events WHERE device_name = ? AND interface_index = ? AND type IN ('missing', 'present') ORDER BY id DESC LIMIT 1`, [device.name, iface.index]);
+            const renumbered = queryRow(db, `SELECT current FROM events WHERE device_name = ? AND interface_index = ? AND type = 'renumbered' ORDER BY id DESC LIMIT 1`, [device.name, iface.index]);
+            interfaces.set(key, {
+                operStatus: status ? status[0] : null,
+                speedMbps: speed ? speed[0] : null,
+                missing: presence ? presence[0] === 'missing' : false,
+                ifIndex: renumbered ? parseInt(renumbered[0]) : iface.index,
+            });
+        }
+        return interfaces.get(key);
+    }
+
+    function deviceState(device) {
+        if (!devices.has(device.name)) {
+            const last = queryRow(db, `SELECT type FROM events WHERE device_name = ? AND interface_index IS NULL AND type IN ('unreachable', 'reachable') ORDER BY id DESC LIMIT 1`, [device.name]);
+            devices.set(device.name, { reachable: last ? last[0] === 'reachable' : true });
+        }
+        return devices.get(device.name);
+    }
+
+    return {
+        recordPoll(device, ok, timestamp, detail = null) {
+            const state = deviceState(device);
+            if (state.reachable === ok) return;
+            state.reachable = ok;
+            record(timestamp, device, null, ok ? 'reachable' : 'unreachable', null, null, detail);
+        },
+        updateInterface(device, iface, values, timestamp) {
+            const state = interfaceState(device, iface);
+            if (state.missing) {
+                record(timestamp, device, iface, 'present', null, null);
+                state.missing = false;
+            }
+            const status = values.operStatus || 0;
+            if (state.operStatus !== null && status !== state.operStatus) {
+                record(timestamp, device, iface, status === 1 ? 'link_up' : 'link_down', operStatusName(state.operStatus), operStatusName(status));
+            }
+            // A link going down commonly reports speed 0; only a change between two real speeds is a renegotiation
+            const speed = values.speedMbps || 0;
+            if (state.speedMbps && speed && speed !== state.speedMbps) {
+                record(timestamp, device, iface, 'speed', state.speedMbps, speed);
+            }
+            state.operStatus = status;
+            if (speed) state.speedMbps = speed;
+        },
+        // The device answered but returned no counters for the interface; true when it was present before
+        missingInterface(device, iface, timestamp, detail = null) {
+            const state = interfaceState(device, iface);
+            if (state.missing) return false;
+            state.missing = true;
+            record(timestamp, device, iface, 'missing', null, null, detail);
+            return true;
+        },
+        // The ifIndex an interface is polled at, which differs from its configured index once renumbered
+        ifIndex(device, iface) {
+            return interfaceState(device, iface).ifIndex;
+        },
+        updateIfIndex(device, iface, ifIndex, timestamp, detail = null) {
+            const state = interfaceState(device, iface);
+            if (ifIndex === state.ifIndex) return;
+            record(timestamp, device, iface, 'renumbered', state.ifIndex, ifIndex, detail);
+            state.ifIndex = ifIndex;
+        },
+    };
+}
+
+// Events in [since, until), oldest first; an empty list for databases from before the events table
+function getEvents(db, since = 0, until = Number.MAX_SAFE_INTEGER) {
+    if (!queryRow(db, `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'events'`)) return [];
+    const result = db.exec(
+        `SELECT timestamp, device_name, interface_index, interface_name, type, previous, current, detail FROM events WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp, id`,
+        [since, until]
+    );
+    if (!result.length) return [];
+    return result[0].values.map(([timestamp, device, index, name, type, previous, current, detail]) => ({ timestamp, device, index, name, type, previous, current, detail }));
+}
+
+module.exports = { OPER_STATUS, operStatusName, createEventsTable, createEventTracker, getEvents };
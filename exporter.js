@@ -0,0 +1,100 @@
+// Prometheus exposition of the poller's latest counters and poll health
+
+const INTERFACE_METRICS = [
+    { name: 'traffic_if_in_octets_total', type: 'counter', help: 'Octets received (ifHCInOctets)', key: 'inOctets' },
+    { name: 'traffic_if_out_octets_total', type: 'counter', help: 'Octets sent (ifHCOutOctets)', key: 'outOctets' },
+    { name: 'traffic_if_in_packets_total', type: 'counter', help: 'Unicast packets received (ifHCInUcastPkts)', key: 'inPackets' },
+    { name: 'traffic_if_out_packets_total', type: 'counter', help: 'Unicast packets sent (ifHCOutUcastPkts)', key: 'outPackets' },
+    { name: 'traffic_if_in_errors_total', type: 'counter', help: 'Inbound errors (ifInErrors)', key: 'inErrors' },
+    { name: 'traffic_if_out_errors_total', type: 'counter', help: 'Outbound errors (ifOutErrors)', key: 'outErrors' },
+    { name: 'traffic_if_in_discards_total', type: 'counter', help: 'Inbound packets discarded (ifInDiscards)', key: 'inDiscards' },
+    { name: 'traffic_if_out_discards_total', type: 'counter', help: 'Outbound packets discarded (ifOutDiscards)', key: 'outDiscards' },
+    { name: 'traffic_if_in_multicast_packets_total', type: 'counter', help: 'Multicast packets received (ifHCInMulticastPkts)', key: 'inMulticast' },
+    { name: 'traffic_if_out_multicast_packets_total', type: 'counter', help: 'Multicast packets sent (ifHCOutMulticastPkts)', key: 'outMulticast' },
+    { name: 'traffic_if_in_broadcast_packets_total', type: 'counter', help: 'Broadcast packets received (ifHCInBroadcastPkts)', key: 'inBroadcast' },
+    { name: 'traffic_if_out_broadcast_packets_total', type: 'counter', help: 'Broadcast packets sent (ifHCOutBroadcastPkts)', key: 'outBroadcast' },
+    { name: 'traffic_if_in_unknown_protos_total', type: 'counter', help: 'Inbound packets of unknown protocols (ifInUnknownProtos)', key: 'inUnknownProtos' },
+    { name: 'traffic_if_oper_status', type: 'gauge', help: 'Operational status (ifOperStatus: 1=up, 2=down, ...)', key: 'operStatus' },
+    { name: 'traffic_if_speed_bits_per_second', type: 'gauge', help: 'Interface speed (ifHighSpeed)', key: 'speedMbps', scale: 1000000 },
+];
+
+const DEVICE_METRICS = [
+    { name: 'traffic_device_up', type: 'gauge', help: 'Whether the last poll of the device succeeded', key: 'up' },
+    { name: 'traffic_device_poll_duration_seconds', type: 'gauge', help: 'Duration of the last poll', key: 'duration' },
+    { name: 'traffic_device_last_poll_timestamp_seconds', type: 'gauge', help: 'Time of the last poll attempt', key: 'timestamp' },
+    { name: 'traffic_device_uptime_seconds', type: 'gauge', help: 'Device uptime (sysUpTime)', key: 'uptime' },
+];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    return (
+        '{' +
+        Object.entries(labels)
+            .map(([k, v]) => `${k}="${escapeLabel(v)}"`)
+            .join(',') +
+        '}'
+    );
+}
+
+function createExporter() {
+    const interfaces = new Map();
+    const devices = new Map();
+
+    function deviceState(device) {
+        if (!devices.has(device.name)) devices.set(device.name, { labels: { device: device.name, host: device.host }, polls: { success: 0, error: 0, skipped: 0 } });
+        return devices.get(device.name);
+    }
+
+    return {
+        updateInterface(device, iface, values) {
+            const labels = { device: device.name, host: device.host, ifindex: iface.index, ifname: iface.name };
+            interfaces.set(`${device.name}/${iface.index}`, { labels, values });
+        },
+        recordPoll(device, ok, durationMs, uptime = null) {
+            const state = deviceState(device);
+            state.up = ok ? 1 : 0;
+            state.duration = durationMs / 1000;
+            state.timestamp = Date.now() / 1000;
+            if (uptime !== null) state.uptime = uptime / 100;
+            state.polls[ok ? 'success' : 'error']++;
+        },
+        // A scheduled poll not sent because the previous one was still running
+        recordSkip(device) {
+            deviceState(device).polls.skipped++;
+        },
+        // Drop series for devices and interfaces no longer in the config, or whose host or name label changed
+        retain(configured) {
+            const hosts = new Map(configured.map((device) => [device.name, device.host]));
+            const names = new Map(configured.flatMap((device) => device.interfaces.map((iface) => [`${device.name}/${iface.index}`, iface.name])));
+            for (const [key, { labels }] of interfaces) if (names.get(key) !== labels.ifname || hosts.get(labels.device) !== labels.host) interfaces.delete(key);
+            for (const [name, state] of devices) if (hosts.get(name) !== state.labels.host) devices.delete(name);
+        },
+        render() {
+            const lines = [];
+            for (const metric of INTERFACE_METRICS) {
+                lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+                for (const { labels, values } of interfaces.values()) {
+                    if (values[metric.key] === undefined || values[metric.key] === null) continue;
+                    lines.push(`${metric.name}${formatLabels(labels)} ${values[metric.key] * (metric.scale || 1)}`);
+                }
+            }
+            for (const metric of DEVICE_METRICS) {
+                lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+                for (const state of devices.values()) {
+                    if (state[metric.key] === undefined) continue;
+                    lines.push(`${metric.name}${formatLabels(state.labels)} ${state[metric.key]}`);
+                }
+            }
+            lines.push('# HELP traffic_device_polls_total Polls of the device by result', '# TYPE traffic_device_polls_total counter');
+            for (const state of devices.values()) {
+                for (const [result, count] of Object.entries(state.polls)) lines.push(`traffic_device_polls_total${formatLabels({ ...state.labels, result })} ${count}`);
+            }
+            return lines.join('\n') + '\n';
+        },
+    };
+}
+
+module.exports = { createExporter };
@@ -0,0 +1,74 @@
+// Interfaces identified by ifName, ifDescr or MAC address rather than ifIndex
+//
+// Some devices renumber ifIndex after a firmware upgrade or module change. An
+// interface configured with `ifname`, `ifdescr` or `mac` is looked up by that value
+// and polled at whatever ifIndex it currently has. Its configured `index` stays the
+// key its samples are stored under, so history is continuous across renumbering.
+
+const snmp = require('net-snmp');
+
+const IDENTITY_COLUMNS = {
+    ifname: '1.3.6.1.2.1.31.1.1.1.1',
+    ifdescr: '1.3.6.1.2.1.2.2.1.2',
+    mac: '1.3.6.1.2.1.2.2.1.6',
+};
+const IDENTITY_KEYS = Object.keys(IDENTITY_COLUMNS);
+
+function identityKey(iface) {
+    return IDENTITY_KEYS.find((key) => iface[key] !== undefined && iface[key] !== null) || null;
+}
+
+// 00:0c:42:aa:bb:cc from a Buffer or any of the usual written forms
+function normalizeMac(value) {
+    if (Buffer.isBuffer(value)) return [...value].map((b) => b.toString(16).padStart(2, '0')).join(':');
+    const hex = String(value)
+        .toLowerCase()
+        .replace(/[^0-9a-f]/g, '');
+    return hex.length === 12 ? hex.match(/../g).join(':') : null;
+}
+
+function identityValue(key, value) {
+    if (key === 'mac') return normalizeMac(value);
+    return Buffer.isBuffer(value) ? value.toString().trim() : String(value).trim();
+}
+
+function walkColumn(session, oid) {
+    return new Promise((resolve, reject) => {
+        const values = {};
+        session.subtree(
+            oid,
+            (varbinds) => {
+                for (const vb of varbinds) {
+                    if (snmp.isVarbindError(vb)) continue;
+                    const vbOid = Array.isArray(vb.oid) ? vb.oid.join('.') : vb.oid.toString();
+                    values[parseInt(vbOid.split('.').pop())] = vb.value;
+                }
+            },
+            (error) => (error ? reject(error) : resolve(values))
+        );
+    });
+}
+
+// Current ifIndex of each identified interface: Map(configured index -> ifIndex or null when not found)
+async function resolveIndexes(session, device) {
+    const identified = device.interfaces.filter(identityKey);
+    const tables = {};
+    for (const key of new Set(identified.map(identityKey))) {
+        const lookup = new Map();
+        for (const [ifIndex, value] of Object.entries(await walkColumn(session, IDENTITY_COLUMNS[key]))) {
+            const normalized = identityValue(key, value);
+            // The first match wins, as with duplicate descriptions on some devices
+            if (normalized && !lookup.has(normalized)) lookup.set(normalized, parseInt(ifIndex));
+        }
+        tables[key] = lookup;
+    }
+    const result = new Map();
+    for (const iface of identified) {
+        const key = identityKey(iface);
+        const ifIndex = tables[key].get(identityValue(key, iface[key]));
+        result.set(iface.index, ifIndex === undefined ? null : ifIndex);
+    }
+    return result;
+}
+
+module.exports = { IDENTITY_KEYS, identityKey, normalizeMac, resolveIndexes };
@@ -0,0 +1,157 @@
+// Config text for discovered devices, shared by discover.js output and --merge
+//
+// A merge edits the existing config.yaml as text: new devices and interfaces are inserted
+// as commented-out lines after the entries they belong with, and configured interfaces the
+// device no longer has get a comment on their index line. Every other byte is kept, so a
+// merge that finds nothing new returns the file unchanged.
+
+const YAML = require('yaml');
+
+// ifType values worth polling by default: ethernetCsmacd, fastEther, fastEtherFX, gigabitEthernet
+const ETHERNET_TYPES = [6, 62, 69, 117];
+const IF_TYPES = { 1: 'other', 6: 'ethernet', 24: 'loopback', 53: 'virtual', 62: 'fastEther', 69: 'fastEtherFX', 71: 'wifi', 117: 'gigabitEthernet', 131: 'tunnel', 135: 'vlan', 136: 'ipvlan', 161: 'lag', 209: 'bridge' };
+const OPER_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+
+// Configured name: the alias an operator gave the port, else its short name
+function interfaceName(iface) {
+    return iface.alias || iface.name || iface.descr;
+}
+
+// Poll by default only Ethernet ports that are up and not marked not-connected
+function interfaceEnabled(iface) {
+    if (interfaceName(iface).startsWith('n/c')) return false;
+    if (iface.operStatus !== null && iface.operStatus !== 1) return false;
+    if (iface.type !== null && !ETHERNET_TYPES.includes(iface.type)) return false;
+    return true;
+}
+
+function interfaceComment(iface) {
+    const parts = [];
+    if (iface.alias && (iface.name || iface.descr) !== iface.alias) parts.push(iface.name || iface.descr);
+    if (iface.type !== null && !ETHERNET_TYPES.includes(iface.type)) parts.push(IF_TYPES[iface.type] || `type ${iface.type}`);
+    if (iface.operStatus !== null) parts.push(OPER_STATUS[iface.operStatus] || `status ${iface.operStatus}`);
+    if (iface.speedMbps) parts.push(iface.speedMbps >= 1000 ? `${iface.speedMbps / 1000}G` : `${iface.speedMbps}M`);
+    return parts.join(', ');
+}
+
+// Device name from sysName, else from the address
+function deviceName(device) {
+    if (device.sysName) return device.sysName.split('.')[0];
+    const nameParts = device.host.split('.');
+    return `device-${nameParts[nameParts.length - 1]}`;
+}
+
+function yamlValue(value) {
+    return YAML.stringify(value, { lineWidth: 0 }).trim();
+}
+
+// Config lines for a discovered device, unindented
+function deviceLines(device) {
+    const lines = [];
+    if (device.sysDescr) lines.push(`# ${device.sysDescr.replace(/\s+/g, ' ')}`);
+    lines.push(`- name: ${yamlValue(device.configName || deviceName(device))}`);
+    lines.push(`  host: ${device.host}`);
+    if (device.version === 3) {
+        // Keys are never written out: they stay in the secrets file or the environment
+        lines.push('  version: 3');
+        lines.push(`  user: ${device.user}`);
+        if (device.auth_key) lines.push(`  auth_protocol: ${device.auth_protocol || 'sha'}`);
+        if (device.priv_key) lines.push(`  priv_protocol: ${device.priv_protocol || 'aes'}`);
+        for (const [field, env] of device.keysFromEnv || []) {
+            lines.push(`  ${field}: \${${env}}`);
+        }
+    } else {
+        lines.push(`  community: ${device.community}`);
+    }
+    lines.push('  interfaces:');
+    for (const iface of device.interfaces) {
+        lines.push(...interfaceLines(iface, !interfaceEnabled(iface)).map((line) => `    ${line}`));
+    }
+    return lines;
+}
+
+function interfaceLines(iface, commented) {
+    const prefix = commented ? '# ' : '';
+    const comment = interfaceComment(iface);
+    return [`${prefix}- index: ${iface.index}${comment ? `  # ${comment}` : ''}`, `${prefix}  name: ${yamlValue(interfaceName(iface))}`];
+}
+
+// Line after a block sequence's last item and the comments indented with its items, where entries are appended
+function sequenceEnd(lines, last, column) {
+    let end = last + 1;
+    for (let i = last + 1; i < lines.length; i++) {
+        const indent = lines[i].search(/\S/);
+        if (indent < 0) continue;
+        if (indent > column || (indent === column && lines[i][indent] === '#')) end = i + 1;
+        else break;
+    }
+    return end;
+}
+
+// Fold rediscovered devices into the text of a config: { text, changes }
+function mergeConfig(text, config, discovered, stamp) {
+    const doc = YAML.parseDocument(text);
+    const lines = text.split('\n');
+    const starts = [];
+    let offset = 0;
+    for (const line of lines) {
+        starts.push(offset);
+        offset += line.length + 1;
+    }
+    const lineOf = (pos) => {
+        let l = 0;
+        while (l + 1 < starts.length && starts[l + 1] <= pos) l++;
+        return l;
+    };
+    // Where a sequence's items start and where entries are appended to it
+    const extent = (seq) => {
+        const first = lineOf(seq.items[0].range[0]);
+        const column = lines[first].search(/\S/);
+        return { first, column, end: sequenceEnd(lines, lineOf(seq.items[seq.items.length - 1].range[0]), column) };
+    };
+    const inserts = new Map();
+    const insert = (at, column, added) => {
+        const pad = ' '.repeat(column);
+        inserts.set(at, [...(inserts.get(at) || []), ...added.map((line) => (line ? `${pad}# ${line}` : ''))]);
+    };
+    const changes = [];
+
+    const devices = extent(doc.get('devices'));
+    for (const device of discovered) {
+        const d = config.devices.findIndex((c) => c.host === device.host);
+        if (d < 0) {
+            insert(devices.end, devices.column, ['', `New device, discovered ${stamp}:`, ...deviceLines(device)]);
+            changes.push(`new device ${device.configName} (${device.host})`);
+            continue;
+        }
+        const configured = config.devices[d];
+        const seq = extent(doc.getIn(['devices', d, 'interfaces']));
+        // Indexes already present, configured or commented out
+        const known = new Set(configured.interfaces.map((i) => i.index));
+        for (const line of lines.slice(seq.first, seq.end)) {
+            const match = /^\s*#\s*-\s*index:\s*(\d+)/.exec(line);
+            if (match) known.add(parseInt(match[1]));
+        }
+
+        const added = device.interfaces.filter((iface) => !known.has(iface.index));
+        if (added.length > 0) {
+            insert(seq.end, seq.column, [`New, discovered ${stamp}:`, ...added.flatMap((iface) => interfaceLines(iface, false))]);
+            for (const iface of added) changes.push(`${configured.name}: new interface ${iface.index} (${interfaceName(iface)})`);
+        }
+        const found = new Set(device.interfaces.map((i) => i.index));
+        configured.interfaces.forEach((iface, i) => {
+            if (found.has(iface.index)) return;
+            const node = doc.getIn(['devices', d, 'interfaces', i, 'index'], true);
+            const l = lineOf(node.range[0]);
+            if (lines[l].includes('not found')) return;
+            const note = `not found on device (${stamp})`;
+            lines[l] = lines[l].substring(node.range[1] - starts[l]).includes('#') ? `${lines[l]}, ${note}` : `${lines[l].trimEnd()}  # ${note}`;
+            changes.push(`${configured.name}: interface ${iface.index} (${iface.name}) not found`);
+        });
+    }
+
+    for (const at of [...inserts.keys()].sort((a, b) => b - a)) lines.splice(at, 0, ...inserts.get(at));
+    return { text: lines.join('\n'), changes };
+}
+
+module.exports = { interfaceName, interfaceEnabled, deviceName, deviceLines, mergeConfig };
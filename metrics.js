@@ -0,0 +1,87 @@
+// Custom OID metrics polled alongside the interface counters
+//
+// A device or interface in config.yaml can list extra OIDs under `metrics`, such as CPU
+// load, board temperature or PoE power. Device metrics are polled at the OID as given and
+// interface metrics at the OID with the interface's ifIndex appended, as for the IF-MIB
+// columns. Values are multiplied by `scale` before they are stored in the metrics table.
+// A gauge is shown as stored; a counter is shown as its rate per second.
+
+const snmp = require('net-snmp');
+const { counterDelta } = require('./counters');
+
+const METRIC_TYPES = ['gauge', 'counter'];
+const METRIC_KEYS = ['name', 'oid', 'type', 'scale', 'unit'];
+const METRIC_NAME = /^[a-z][a-z0-9_]*$/i;
+const OID = /^\.?\d+(\.\d+)+$/;
+
+function createMetricsTable(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS metrics (
+            timestamp INTEGER NOT NULL,
+            device_name TEXT NOT NULL,
+            interface_index INTEGER,
+            name TEXT NOT NULL,
+            value REAL NOT NULL
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics(timestamp)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_metrics_device_name ON metrics(device_name, name, timestamp)`);
+}
+
+// The metric OIDs to poll on a device: Map(oid -> { metric, iface }), iface null for device metrics
+function metricTargets(device, ifIndexes) {
+    const targets = new Map();
+    for (const metric of device.metrics || []) targets.set(metric.oid.replace(/^\./, ''), { metric, iface: null });
+    for (const iface of device.interfaces) {
+        for (const metric of iface.metrics || []) targets.set(`${metric.oid.replace(/^\./, '')}.${ifIndexes.get(iface.index)}`, { metric, iface });
+    }
+    return targets;
+}
+
+// Numeric value of a varbind, including numbers sent as text; null for anything else
+function varbindNumber(vb) {
+    if (vb.type === snmp.ObjectType.Counter64) return Number([...vb.value].reduce((n, byte) => (n << 8n) + BigInt(byte), 0n));
+    if (Buffer.isBuffer(vb.value)) {
+        const value = parseFloat(vb.value.toString());
+        return isNaN(value) ? null : value;
+    }
+    return typeof vb.value === 'number' ? vb.value : null;
+}
+
+// Store a polled value, returning it as stored
+function recordMetric(db, timestamp, device, iface, metric, value) {
+    const scaled = value * (metric.scale === undefined ? 1 : metric.scale);
+    db.run(`INSERT INTO metrics (timestamp, device_name, interface_index, name, value) VALUES (?, ?, ?, ?, ?)`, [timestamp, device.name, iface ? iface.index : null, metric.name, scaled]);
+    return scaled;
+}
+
+function pruneMetrics(db, cutoff) {
+    db.run(`DELETE FROM metrics WHERE timestamp < ?`, [cutoff]);
+    return db.getRowsModified();
+}
+
+// Every metric with data: [{ device, index (null for device metrics), name }]
+function listMetrics(db) {
+    const result = db.exec(`SELECT DISTINCT device_name, interface_index, name FROM metrics ORDER BY device_name, interface_index, name`);
+    return result.length ? result[0].values.map(([device, index, name]) => ({ device, index, name })) : [];
+}
+
+// Values of a metric in [since, until): gauges as stored, counters as the rate per second since the previous value
+function getMetricValues(db, device, ifaceIndex, name, type, since, until) {
+    const result = db.exec(
+        `SELECT timestamp, value FROM metrics
+         WHERE device_name = ? AND interface_index IS ? AND name = ? AND timestamp >= ? AND timestamp < ?
+         ORDER BY timestamp`,
+        [device, ifaceIndex, name, since, until]
+    );
+    const rows = result.length ? result[0].values : [];
+    if (type !== 'counter') return rows.map(([timestamp, value]) => ({ timestamp, value }));
+    const rates = [];
+    for (let i = 1; i < rows.length; i++) {
+        const duration = rows[i][0] - rows[i - 1][0];
+        if (duration > 0) rates.push({ timestamp: rows[i][0], value: counterDelta(rows[i - 1][1], rows[i][1], 64, null) / duration });
+    }
+    return rates;
+}
+
+module.exports = { METRIC_TYPES, METRIC_KEYS, METRIC_NAME, OID, createMetricsTable, metricTargets, varbindNumber, recordMetric, pruneMetrics, listMetrics, getMetricValues };
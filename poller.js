@@ -2,12 +2,25 @@
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const snmp = require('net-snmp');
-const initSqlJs = require('sql.js');
-const YAML = require('yaml');
+const { EXTENDED_COUNTERS, getSamples, accumulate, addCounterColumns } = require('./counters');
+const { TIERS, parseRetention, createRollupTables, maintainRollups } = require('./rollup');
+const { openDatabase } = require('./database');
+const { loadSecrets, resolveCredentials, securityLevel, createSession } = require('./session');
+const { createExporter } = require('./exporter');
+const { createAlerter } = require('./alerts');
+const { createEventsTable, createEventTracker } = require('./events');
+const { resolveConfigPath, loadConfig } = require('./config');
+const { identityKey, resolveIndexes } = require('./identity');
+const { hourlyProfile } = require('./baseline');
+const { createMetricsTable, metricTargets, varbindNumber, recordMetric, pruneMetrics } = require('./metrics');
+const { pollSecs, pollJitter, maxOids, createScheduler, getGroups } = require('./scheduler');
 
 // Parse command line args
 const verbose = process.argv.includes('-v') || process.argv.includes('--verbose');
+const testNotify = process.argv.includes('--test-notify');
+const checkOnly = process.argv.includes('--check-config');
 
 function log(...args) {
     if (verbose) {
@@ -23,15 +36,25 @@ function logError(...args) {
 const configPath = process.argv.find(a => a.endsWith('.yaml') || a.endsWith('.yml')) 
     || path.join(__dirname, 'config.yaml');
 
-if (!fs.existsSync(configPath)) {
-    console.error(`Config file not found: ${configPath}`);
-    process.exit(1);
+// Read and validate the config; throws so that a reload can keep the old one
+let configText = null;
+function readConfig() {
+    configText = fs.readFileSync(configPath, 'utf8');
+    return loadConfig(configPath, { text: configText, onWarning: (msg) => console.error('Warning:', msg) });
 }
 
-const config = YAML.parse(fs.readFileSync(configPath, 'utf8'));
+let config;
+try {
+    if (!fs.existsSync(configPath)) throw new Error(`Config file not found: ${configPath}`);
+    config = readConfig();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 log('Loaded config from', configPath);
 
 // OID definitions
+const OID_sysUpTime = '1.3.6.1.2.1.1.3.0';
 const OIDs = {
     ifHCInOctets:    '1.3.6.1.2.1.31.1.1.1.6',
     ifHCOutOctets:   '1.3.6.1.2.1.31.1.1.1.10',
@@ -43,15 +66,42 @@ const OIDs = {
     ifHighSpeed:     '1.3.6.1.2.1.31.1.1.1.15'
 };
 
+// Extended counters by result key; a device without one just leaves it unset
+const EXTENDED_OIDS = {
+    inDiscards:      '1.3.6.1.2.1.2.2.1.13',
+    outDiscards:     '1.3.6.1.2.1.2.2.1.19',
+    inMulticast:     '1.3.6.1.2.1.31.1.1.1.8',
+    outMulticast:    '1.3.6.1.2.1.31.1.1.1.12',
+    inBroadcast:     '1.3.6.1.2.1.31.1.1.1.9',
+    outBroadcast:    '1.3.6.1.2.1.31.1.1.1.13',
+    inUnknownProtos: '1.3.6.1.2.1.2.2.1.15'
+};
+const EXTENDED_KEYS = Object.fromEntries(Object.entries(EXTENDED_OIDS).map(([key, oid]) => [oid, key]));
+
 // Database path
-const dbPath = config.settings.database.startsWith('.') 
-    ? path.join(__dirname, config.settings.database)
-    : config.settings.database;
+const dbPath = resolveConfigPath(config.settings.database);
+
+// Retention per tier (raw, 5m, 1h), unset tiers are kept forever
+let retention = parseRetention(config.settings.retention);
+const VACUUM_THRESHOLD = 100000;
+
+// Full database writes; polls in between only append to the journal
+let checkpointSecs = config.settings.checkpoint_interval || 3600;
 
 let db = null;
 let sessions = {};
-let pollInterval = null;
 let reportInterval = null;
+let rollupInterval = null;
+let checkpointInterval = null;
+let httpServer = null;
+let alerter = null;
+let events = null;
+let uptimes = {};
+const resolving = new Set();
+const baselines = new Map();
+const oidLimits = new Map();
+const exporter = createExporter();
+const scheduler = createScheduler({ poll, onSkip: skipPoll, onError: (device, err) => logError(`${device.name}: Poll failed:`, err.message) });
 
 // Generate traffic report
 function generateReport() {
@@ -63,52 +113,19 @@ function generateReport() {
     
     for (const device of config.devices) {
         for (const iface of device.interfaces) {
-            const result = db.exec(`
-                SELECT 
-                    MIN(timestamp) as t_start,
-                    MAX(timestamp) as t_end,
-                    MIN(in_octets) as in_start,
-                    MAX(in_octets) as in_end,
-                    MIN(out_octets) as out_start,
-                    MAX(out_octets) as out_end,
-                    MIN(in_packets) as in_pkt_start,
-                    MAX(in_packets) as in_pkt_end,
-                    MIN(out_packets) as out_pkt_start,
-                    MAX(out_packets) as out_pkt_end,
-                    MIN(in_errors) as in_err_start,
-                    MAX(in_errors) as in_err_end,
-                    MIN(out_errors) as out_err_start,
-                    MAX(out_errors) as out_err_end
-                FROM (
-                    SELECT timestamp, in_octets, out_octets, in_packets, out_packets, in_errors, out_errors
-                    FROM samples 
-                    WHERE device_name = ? AND interface_index = ? AND timestamp >= ?
-                    ORDER BY timestamp
-                )
-            `, [device.name, iface.index, since]);
+            const rows = getSamples(db, device.name, iface.index, since);
+            const t = accumulate(rows);
             
-            if (result.length === 0 || !result[0].values[0][0]) {
-                parts.push(`${device.name}/${iface.name}=no data`);
-                continue;
-            }
-            
-            const row = result[0].values[0];
-            const [t_start, t_end, in_start, in_end, out_start, out_end, 
-                   in_pkt_start, in_pkt_end, out_pkt_start, out_pkt_end,
-                   in_err_start, in_err_end, out_err_start, out_err_end] = row;
-            
-            const duration = t_end - t_start;
+            const duration = t.duration;
             if (duration <= 0) {
                 parts.push(`${device.name}/${iface.name}=no data`);
                 continue;
             }
             
-            const inBytes = in_end - in_start;
-            const outBytes = out_end - out_start;
-            const inPkts = (in_pkt_end || 0) - (in_pkt_start || 0);
-            const outPkts = (out_pkt_end || 0) - (out_pkt_start || 0);
-            const newInErrors = (in_err_end || 0) - (in_err_start || 0);
-            const newOutErrors = (out_err_end || 0) - (out_err_start || 0);
+            const inBytes = t.rx;
+            const outBytes = t.tx;
+            const newInErrors = t.rxErrors;
+            const newOutErrors = t.txErrors;
             
             const inMbps = (inBytes * 8) / duration / 1000000;
             const outMbps = (outBytes * 8) / duration / 1000000;
@@ -119,6 +136,9 @@ function generateReport() {
             if (newInErrors > 0 || newOutErrors > 0) {
                 report += ` ERRORS:${newInErrors}in/${newOutErrors}out`;
             }
+            if (t.resets > 0) {
+                report += ` RESET`;
+            }
             
             parts.push(report);
         }
@@ -135,14 +155,31 @@ function formatBytesShort(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + sizes[i];
 }
 
+function logAlert(message) {
+    console.log(new Date().toISOString(), message);
+}
+
+// Time-of-day baseline for anomaly alert rules, from the last 28 days and rebuilt hourly
+const BASELINE_HISTORY = 28 * 24 * 60 * 60;
+const BASELINE_REFRESH = 60 * 60;
+function getBaseline(device, iface) {
+    const key = `${device.name}/${iface.index}`;
+    const now = Math.floor(Date.now() / 1000);
+    const cached = baselines.get(key);
+    if (cached && now - cached.built < BASELINE_REFRESH) return cached.profile;
+    const profile = hourlyProfile(db, device.name, iface.index, now - BASELINE_HISTORY, now);
+    baselines.set(key, { profile, built: now });
+    return profile;
+}
+
 async function init() {
-    const SQL = await initSqlJs();
+    alerter = createAlerter(config.alerts, { logAlert, logError, getBaseline });
     
-    // Load existing database or create new one
-    if (fs.existsSync(dbPath)) {
-        const buffer = fs.readFileSync(dbPath);
-        db = new SQL.Database(buffer);
+    // Load existing database (and replay its journal) or create new one
+    db = await openDatabase(dbPath, { onError: (msg) => logError('Database:', msg) });
+    if (db.existed) {
         log('Loaded existing database:', dbPath);
+        if (db.replayed > 0) log(`Replayed ${db.replayed} journal entries`);
         
         // Check for old schema (no device_name column)
         const tableInfo = db.exec("PRAGMA table_info(samples)");
@@ -154,7 +191,6 @@ async function init() {
             }
         }
     } else {
-        db = new SQL.Database();
         log('Created new database:', dbPath);
     }
     
@@ -174,145 +210,459 @@ async function init() {
             in_errors INTEGER NOT NULL DEFAULT 0,
             out_errors INTEGER NOT NULL DEFAULT 0,
             oper_status INTEGER NOT NULL,
-            speed_mbps INTEGER NOT NULL
+            speed_mbps INTEGER NOT NULL,
+            sys_uptime INTEGER,
+            in_discards INTEGER,
+            out_discards INTEGER,
+            in_multicast INTEGER,
+            out_multicast INTEGER,
+            in_broadcast INTEGER,
+            out_broadcast INTEGER,
+            in_unknown_protos INTEGER
         )
     `);
     
+    // Add columns introduced after the initial schema
+    const columns = db.exec("PRAGMA table_info(samples)")[0].values.map(row => row[1]);
+    if (!columns.includes('sys_uptime')) {
+        db.run('ALTER TABLE samples ADD COLUMN sys_uptime INTEGER');
+        log('Added sys_uptime column to samples');
+    }
+    // Existing samples keep NULL for these, which counts as no change
+    if (addCounterColumns(db, 'samples') > 0) {
+        log('Added extended counter columns to samples');
+    }
+    
     db.run(`CREATE INDEX IF NOT EXISTS idx_samples_timestamp ON samples(timestamp)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_samples_device ON samples(device_name)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_samples_device_interface ON samples(device_name, interface_index)`);
     
-    saveDatabase();
+    createRollupTables(db);
+    createEventsTable(db);
+    createMetricsTable(db);
+    events = createEventTracker(db, log);
     
-    // Create SNMP sessions for each device
+    db.checkpoint();
+    
+    // Create SNMP sessions for each device, with credentials from the config, secrets file or environment
+    const secrets = loadSecrets(resolveConfigPath(config.settings.secrets));
     for (const device of config.devices) {
-        sessions[device.name] = snmp.createSession(device.host, device.community, {
-            port: device.port || 161,
-            timeout: device.timeout || 5000,
-            version: snmp.Version2c
-        });
-        log(`SNMP session to ${device.name} (${device.host})`);
+        const target = sessionTarget(device, secrets);
+        sessions[device.name] = { session: createSession(target), target };
+        log(`SNMP session to ${device.name} (${device.host}, ${securityLevel(target)})`);
     }
     
     // Print startup info
     console.log(`SNMP Traffic Poller started`);
     console.log(`  Devices: ${config.devices.length}`);
     for (const device of config.devices) {
-        console.log(`    ${device.name} (${device.host}): ${device.interfaces.map(i => i.name).join(', ')}`);
+        const every = device.poll_interval ? ` [every ${device.poll_interval}s]` : '';
+        console.log(`    ${device.name} (${device.host})${every}: ${device.interfaces.map(i => i.name).join(', ')}`);
+        const metrics = [...(device.metrics || []), ...device.interfaces.flatMap(i => (i.metrics || []).map(m => ({ name: `${i.name}.${m.name}` })))];
+        if (metrics.length > 0) console.log(`      metrics: ${metrics.map(m => m.name).join(', ')}`);
+    }
+    console.log(`  Poll interval: ${config.settings.poll_interval}s (jitter ${pollJitter(config.settings)}s, overlap ${config.settings.poll_overlap || 'skip'}, up to ${maxOids({}, config.settings)} OIDs per request)`);
+    console.log(`  Database: ${dbPath} (checkpoint every ${checkpointSecs}s)`);
+    if (Object.keys(retention).length > 0) {
+        console.log(`  Retention: ${Object.entries(retention).map(([tier, secs]) => `${tier}=${Math.round(secs / 86400)}d`).join(', ')}`);
+    }
+    if (alerter.rules.length > 0) {
+        console.log(`  Alerts: ${alerter.rules.map(r => r.name).join(', ')}`);
     }
-    console.log(`  Poll interval: ${config.settings.poll_interval}s`);
-    console.log(`  Database: ${dbPath}`);
     if (verbose) console.log('  Verbose mode enabled');
     console.log('');
     
-    // Initial poll
-    poll();
+    // Find interfaces configured by name or MAC before polling them
+    await Promise.all(config.devices.map(device => resolveInterfaces(device, 'startup')));
+    
+    // Poll each device on its own interval, starting within the jitter, and schedule periodic reports
+    scheduler.update(config.devices, config.settings);
+    scheduleReports();
+    if (reportInterval) console.log(`  Report interval: ${config.settings.report_interval || 300}s`);
+    
+    // Optional Prometheus endpoint
+    if (config.settings.http_port) {
+        startHttpServer(config.settings.http_port);
+    }
     
-    // Schedule regular polling
-    pollInterval = setInterval(poll, config.settings.poll_interval * 1000);
+    // Maintain rollup tiers at the finest rollup resolution
+    maintain();
+    rollupInterval = setInterval(maintain, TIERS[0].secs * 1000);
     
-    // Schedule periodic reports
+    // Schedule full database writes; between them changes only go to the journal
+    checkpointInterval = setInterval(checkpoint, checkpointSecs * 1000);
+    
+    // Reload the config on SIGHUP or when the file changes
+    process.on('SIGHUP', () => reload('SIGHUP'));
+    fs.watchFile(configPath, { interval: 5000 }, (curr, prev) => {
+        // Skip rewrites that leave the content as last loaded, e.g. after a SIGHUP for the same edit
+        if (curr.mtimeMs === prev.mtimeMs || !fs.existsSync(configPath)) return;
+        if (fs.readFileSync(configPath, 'utf8') !== configText) reload('file change');
+    });
+}
+
+// Device config with credentials resolved, as passed to createSession
+function sessionTarget(device, secrets) {
+    return { ...device, ...resolveCredentials(device, secrets) };
+}
+
+// The session only depends on how the device is reached, not on what is polled or how often
+function sessionKey(target) {
+    const { name, interfaces, metrics, poll_interval, max_oids, ...rest } = target;
+    return JSON.stringify(rest);
+}
+
+// The ifIndex to poll: the configured index, or where an interface configured by name or MAC was last found
+function pollIndex(device, iface) {
+    return identityKey(iface) ? events.ifIndex(device, iface) : iface.index;
+}
+
+// Look up the current ifIndex of interfaces configured by ifname, ifdescr or mac
+async function resolveInterfaces(device, reason) {
+    if (!device.interfaces.some(identityKey) || resolving.has(device.name)) return;
+    const { session } = sessions[device.name];
+    resolving.add(device.name);
+    try {
+        const found = await resolveIndexes(session, device);
+        if (!sessions[device.name] || sessions[device.name].session !== session) return;
+        const timestamp = Math.floor(Date.now() / 1000);
+        for (const iface of device.interfaces) {
+            if (!found.has(iface.index)) continue;
+            const key = identityKey(iface);
+            if (found.get(iface.index) === null) {
+                logError(`${device.name}/${iface.name}: No interface with ${key} '${iface[key]}', polling ifIndex ${pollIndex(device, iface)}`);
+                continue;
+            }
+            events.updateIfIndex(device, iface, found.get(iface.index), timestamp, `${key} ${iface[key]} (${reason})`);
+        }
+        db.flush();
+        log(`${device.name}: Resolved interfaces (${reason}): ${device.interfaces.filter(identityKey).map(i => `${i.name}=${pollIndex(device, i)}`).join(', ')}`);
+    } catch (err) {
+        logError(`${device.name}: Interface lookup (${reason}) failed:`, err.message);
+    } finally {
+        resolving.delete(device.name);
+    }
+}
+
+function scheduleReports() {
+    if (reportInterval) clearInterval(reportInterval);
     const reportSecs = config.settings.report_interval || 300;
-    if (reportSecs > 0) {
-        console.log(`  Report interval: ${reportSecs}s`);
-        reportInterval = setInterval(generateReport, reportSecs * 1000);
+    reportInterval = reportSecs > 0 ? setInterval(generateReport, reportSecs * 1000) : null;
+}
+
+// Apply a changed config.yaml, keeping the running one if the new one is invalid
+function reload(reason) {
+    let next, nextAlerter;
+    const opened = {};
+    try {
+        next = readConfig();
+        const alertsChanged = JSON.stringify(next.alerts) !== JSON.stringify(config.alerts);
+        nextAlerter = alertsChanged ? createAlerter(next.alerts, { logAlert, logError, getBaseline }) : alerter;
+        parseRetention(next.settings.retention);
+        const secrets = loadSecrets(resolveConfigPath(next.settings.secrets));
+        for (const device of next.devices) {
+            const target = sessionTarget(device, secrets);
+            const current = sessions[device.name];
+            if (current && sessionKey(current.target) === sessionKey(target)) continue;
+            opened[device.name] = { session: createSession(target), target };
+        }
+    } catch (err) {
+        for (const entry of Object.values(opened)) entry.session.close();
+        logError(`Config reload (${reason}) rejected, keeping the running config:`, err.message);
+        return;
+    }
+    
+    const prev = config;
+    const changes = [];
+    const nextNames = new Set(next.devices.map(d => d.name));
+    for (const name of Object.keys(sessions)) {
+        if (!nextNames.has(name)) {
+            sessions[name].session.close();
+            delete sessions[name];
+            changes.push(`-${name}`);
+        }
+    }
+    for (const [name, entry] of Object.entries(opened)) {
+        if (sessions[name]) sessions[name].session.close();
+        changes.push(`${sessions[name] ? '~' : '+'}${name} (${securityLevel(entry.target)})`);
+        sessions[name] = entry;
+        oidLimits.delete(name);
+    }
+    for (const device of next.devices) {
+        const old = prev.devices.find(d => d.name === device.name);
+        if (!old) continue;
+        if (device.poll_interval !== old.poll_interval) changes.push(`poll ${device.name} ${pollSecs(device, next.settings)}s`);
+        const before = new Map(old.interfaces.map(i => [i.index, i.name]));
+        const after = new Map(device.interfaces.map(i => [i.index, i.name]));
+        for (const [index, name] of after) {
+            if (!before.has(index)) changes.push(`+${device.name}/${name}`);
+            else if (before.get(index) !== name) changes.push(`~${device.name}/${before.get(index)}->${name}`);
+        }
+        for (const [index, name] of before) {
+            if (!after.has(index)) changes.push(`-${device.name}/${name}`);
+        }
+    }
+    
+    config = next;
+    if (nextAlerter !== alerter) {
+        alerter = nextAlerter;
+        changes.push(`alerts (${alerter.rules.length} rules)`);
+    }
+    exporter.retain(config.devices);
+    retention = parseRetention(config.settings.retention);
+    scheduler.update(config.devices, config.settings);
+    if (config.settings.poll_interval !== prev.settings.poll_interval) {
+        changes.push(`poll ${config.settings.poll_interval}s`);
+    }
+    if (config.settings.report_interval !== prev.settings.report_interval) {
+        scheduleReports();
+        changes.push(`report ${config.settings.report_interval || 300}s`);
+    }
+    if ((config.settings.checkpoint_interval || 3600) !== checkpointSecs) {
+        checkpointSecs = config.settings.checkpoint_interval || 3600;
+        clearInterval(checkpointInterval);
+        checkpointInterval = setInterval(checkpoint, checkpointSecs * 1000);
+        changes.push(`checkpoint ${checkpointSecs}s`);
     }
+    for (const key of ['database', 'http_port', 'http_host']) {
+        if (config.settings[key] !== prev.settings[key]) console.log(`Config reload: settings.${key} changed, takes effect on restart`);
+    }
+    console.log(new Date().toISOString(), `Config reloaded (${reason}): ${changes.length > 0 ? changes.join(', ') : 'no changes'}`);
+    for (const device of config.devices) resolveInterfaces(device, 'reload');
+}
+
+function startHttpServer(port) {
+    httpServer = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(exporter.render());
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+        }
+    });
+    httpServer.on('error', (err) => logError('HTTP server:', err.message));
+    httpServer.listen(port, config.settings.http_host, () => {
+        console.log(`  Metrics: http://${config.settings.http_host || '0.0.0.0'}:${port}/metrics`);
+    });
 }
 
-function saveDatabase() {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
+function checkpoint() {
+    try {
+        const start = Date.now();
+        db.checkpoint();
+        log(`Checkpoint written in ${Date.now() - start}ms`);
+    } catch (err) {
+        logError('Checkpoint error:', err.message);
+    }
 }
 
-function buildOidList(device) {
-    const oids = [];
+function maintain() {
+    try {
+        // A poll in progress stores samples timestamped from when it started, so leave those buckets until it is done
+        const now = Math.floor(Date.now() / 1000);
+        const running = scheduler.runningSince();
+        const stats = maintainRollups(db, retention, now, running === null ? now : Math.floor(running / 1000));
+        if (retention.metrics !== undefined) {
+            const pruned = pruneMetrics(db, now - retention.metrics);
+            if (pruned > 0) stats.pruned.metrics = pruned;
+        }
+        const rolled = Object.entries(stats.rolled).map(([tier, n]) => `${tier}=${n}`);
+        const pruned = Object.entries(stats.pruned).map(([tier, n]) => `${tier}=${n}`);
+        if (rolled.length > 0) log(`Rollup: ${rolled.join(' ')}`);
+        if (pruned.length > 0) log(`Retention: pruned ${pruned.join(' ')}`);
+        // Deleted pages are reused by later inserts, only compact after a large prune
+        if (Object.values(stats.pruned).reduce((a, b) => a + b, 0) >= VACUUM_THRESHOLD) {
+            db.run('VACUUM');
+            log('Database vacuumed');
+            checkpoint();
+        }
+        db.flush();
+    } catch (err) {
+        logError('Rollup error:', err.message);
+    }
+}
+
+// OIDs to poll in groups that are kept to one request: sysUpTime with the device metrics, then each interface's
+function buildOidGroups(device, ifIndexes, targets) {
+    const groups = [[OID_sysUpTime]];
+    for (const [oid, target] of targets) {
+        if (!target.iface) groups[0].push(oid);
+    }
     for (const iface of device.interfaces) {
-        oids.push(`${OIDs.ifHCInOctets}.${iface.index}`);
-        oids.push(`${OIDs.ifHCOutOctets}.${iface.index}`);
-        oids.push(`${OIDs.ifHCInUcastPkts}.${iface.index}`);
-        oids.push(`${OIDs.ifHCOutUcastPkts}.${iface.index}`);
-        oids.push(`${OIDs.ifInErrors}.${iface.index}`);
-        oids.push(`${OIDs.ifOutErrors}.${iface.index}`);
-        oids.push(`${OIDs.ifOperStatus}.${iface.index}`);
-        oids.push(`${OIDs.ifHighSpeed}.${iface.index}`);
-    }
-    return oids;
+        const ifIndex = ifIndexes.get(iface.index);
+        const group = [
+            `${OIDs.ifHCInOctets}.${ifIndex}`,
+            `${OIDs.ifHCOutOctets}.${ifIndex}`,
+            `${OIDs.ifHCInUcastPkts}.${ifIndex}`,
+            `${OIDs.ifHCOutUcastPkts}.${ifIndex}`,
+            `${OIDs.ifInErrors}.${ifIndex}`,
+            `${OIDs.ifOutErrors}.${ifIndex}`,
+            `${OIDs.ifOperStatus}.${ifIndex}`,
+            `${OIDs.ifHighSpeed}.${ifIndex}`
+        ];
+        for (const oid of Object.values(EXTENDED_OIDS)) {
+            group.push(`${oid}.${ifIndex}`);
+        }
+        for (const [oid, target] of targets) {
+            if (target.iface === iface) group.push(oid);
+        }
+        groups.push(group);
+    }
+    return groups;
 }
 
-function poll() {
-    const timestamp = Math.floor(Date.now() / 1000);
+function skipPoll(device, secs) {
+    logError(`${device.name}: Previous poll still running after ${secs}s, skipping this one`);
+    exporter.recordSkip(device);
+}
+
+// Poll one device, resolving once its samples are stored; they are timestamped when their response arrived
+async function poll(device) {
+    const { session } = sessions[device.name];
+    const ifIndexes = new Map(device.interfaces.map(iface => [iface.index, pollIndex(device, iface)]));
+    const targets = metricTargets(device, ifIndexes);
+    const groups = buildOidGroups(device, ifIndexes, targets);
+    const limit = Math.min(maxOids(device, config.settings), oidLimits.get(device.name) || Infinity);
+    const started = Date.now();
     
-    for (const device of config.devices) {
-        const session = sessions[device.name];
-        const oidList = buildOidList(device);
-        
-        session.get(oidList, (error, varbinds) => {
-            if (error) {
-                logError(`${device.name}: SNMP error:`, error.message);
-                return;
+    let responses;
+    try {
+        const got = await getGroups(session, groups, limit);
+        responses = got.responses;
+        if (got.max < limit) {
+            oidLimits.set(device.name, got.max);
+            log(`${device.name}: Agent answered tooBig, sending at most ${got.max} OIDs per request`);
+        }
+    } catch (error) {
+        // The session was closed or replaced by a config reload
+        if (!sessions[device.name] || sessions[device.name].session !== session) return;
+        const timestamp = Math.floor(Date.now() / 1000);
+        logError(`${device.name}: SNMP error:`, error.message);
+        exporter.recordPoll(device, false, Date.now() - started);
+        alerter.recordPoll(device, false, timestamp);
+        try {
+            events.recordPoll(device, false, timestamp, error.message);
+            db.flush();
+        } catch (err) {
+            logError(`${device.name}: Database error:`, err.message);
+        }
+        return;
+    }
+    if (!sessions[device.name] || sessions[device.name].session !== session) return;
+    
+    const results = {};
+    const times = {};
+    const metrics = [];
+    let uptime = null;
+    
+    for (const response of responses) {
+        const time = Math.floor(response.time / 1000);
+        for (const vb of response.varbinds) {
+            const oid = Array.isArray(vb.oid) ? vb.oid.join('.') : vb.oid.toString();
+            const column = oid.substring(0, oid.lastIndexOf('.'));
+            const target = targets.get(oid);
+            if (target) {
+                const value = snmp.isVarbindError(vb) ? null : varbindNumber(vb);
+                if (value === null) logError(`${device.name}: Metric ${target.metric.name} (${oid}):`, snmp.isVarbindError(vb) ? snmp.varbindError(vb) : 'not a number');
+                else metrics.push({ ...target, value, timestamp: time });
+                continue;
+            }
+            if (snmp.isVarbindError(vb)) {
+                // Not every device has the extended counters
+                if (!EXTENDED_KEYS[column]) logError(`${device.name}: Varbind error:`, snmp.varbindError(vb));
+                continue;
             }
             
-            const results = {};
+            const value = vb.value;
+            if (oid === OID_sysUpTime) {
+                uptime = value;
+                continue;
+            }
+            const ifIndex = parseInt(oid.split('.').pop());
             
-            for (const vb of varbinds) {
-                if (snmp.isVarbindError(vb)) {
-                    logError(`${device.name}: Varbind error:`, snmp.varbindError(vb));
-                    continue;
-                }
-                
-                const oid = Array.isArray(vb.oid) ? vb.oid.join('.') : vb.oid.toString();
-                const value = vb.value;
-                const ifIndex = parseInt(oid.split('.').pop());
-                
-                if (!results[ifIndex]) {
-                    results[ifIndex] = {};
-                }
-                
-                if (oid.startsWith(OIDs.ifHCInOctets)) {
-                    results[ifIndex].inOctets = bufferToNumber(value);
-                } else if (oid.startsWith(OIDs.ifHCOutOctets)) {
-                    results[ifIndex].outOctets = bufferToNumber(value);
-                } else if (oid.startsWith(OIDs.ifHCInUcastPkts)) {
-                    results[ifIndex].inPackets = bufferToNumber(value);
-                } else if (oid.startsWith(OIDs.ifHCOutUcastPkts)) {
-                    results[ifIndex].outPackets = bufferToNumber(value);
-                } else if (oid.startsWith(OIDs.ifInErrors)) {
-                    results[ifIndex].inErrors = value;
-                } else if (oid.startsWith(OIDs.ifOutErrors)) {
-                    results[ifIndex].outErrors = value;
-                } else if (oid.startsWith(OIDs.ifOperStatus)) {
-                    results[ifIndex].operStatus = value;
-                } else if (oid.startsWith(OIDs.ifHighSpeed)) {
-                    results[ifIndex].speedMbps = value;
-                }
+            if (!results[ifIndex]) {
+                results[ifIndex] = {};
             }
             
-            try {
-                for (const iface of device.interfaces) {
-                    const r = results[iface.index];
-                    if (r && r.inOctets !== undefined && r.outOctets !== undefined) {
-                        db.run(
-                            `INSERT INTO samples (timestamp, device_name, device_host, interface_index, interface_name, in_octets, out_octets, in_packets, out_packets, in_errors, out_errors, oper_status, speed_mbps)
-                             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                            [timestamp, device.name, device.host, iface.index, iface.name, r.inOctets, r.outOctets, r.inPackets || 0, r.outPackets || 0, r.inErrors || 0, r.outErrors || 0, r.operStatus || 0, r.speedMbps || 0]
-                        );
-                        
-                        let logMsg = `${device.name}/${iface.name}: in=${formatBytes(r.inOctets)} out=${formatBytes(r.outOctets)} pkts=${r.inPackets || 0}/${r.outPackets || 0}`;
-                        if (r.inErrors || r.outErrors) {
-                            logMsg += ` ERRORS=${r.inErrors}/${r.outErrors}`;
-                        }
-                        log(logMsg);
-                    }
-                }
-                
-                saveDatabase();
-                log(`${device.name}: Stored ${Object.keys(results).length} samples`);
+            if (oid.startsWith(OIDs.ifHCInOctets)) {
+                results[ifIndex].inOctets = bufferToNumber(value);
+                times[ifIndex] = time;
+            } else if (oid.startsWith(OIDs.ifHCOutOctets)) {
+                results[ifIndex].outOctets = bufferToNumber(value);
+            } else if (oid.startsWith(OIDs.ifHCInUcastPkts)) {
+                results[ifIndex].inPackets = bufferToNumber(value);
+            } else if (oid.startsWith(OIDs.ifHCOutUcastPkts)) {
+                results[ifIndex].outPackets = bufferToNumber(value);
+            } else if (oid.startsWith(OIDs.ifInErrors)) {
+                results[ifIndex].inErrors = value;
+            } else if (oid.startsWith(OIDs.ifOutErrors)) {
+                results[ifIndex].outErrors = value;
+            } else if (oid.startsWith(OIDs.ifOperStatus)) {
+                results[ifIndex].operStatus = value;
+            } else if (oid.startsWith(OIDs.ifHighSpeed)) {
+                results[ifIndex].speedMbps = value;
+            } else if (EXTENDED_KEYS[column]) {
+                results[ifIndex][EXTENDED_KEYS[column]] = bufferToNumber(value);
+            }
+        }
+    }
+    
+    // Device-level results are as of the last response
+    const timestamp = Math.floor(responses[responses.length - 1].time / 1000);
+    
+    // After a reboot the interfaces may have been renumbered: look them up again before storing theirs
+    const rebooted = uptime !== null && uptimes[device.name] !== undefined && uptime < uptimes[device.name];
+    if (uptime !== null) uptimes[device.name] = uptime;
+    if (rebooted) resolveInterfaces(device, 'reboot');
+    
+    exporter.recordPoll(device, true, Date.now() - started, uptime);
+    alerter.recordPoll(device, true, timestamp);
+    
+    try {
+        db.run('BEGIN');
+        events.recordPoll(device, true, timestamp);
+        for (const iface of device.interfaces) {
+            if (rebooted && identityKey(iface)) continue;
+            const ifIndex = ifIndexes.get(iface.index);
+            const r = results[ifIndex];
+            if (!r || r.inOctets === undefined || r.outOctets === undefined) {
+                if (events.missingInterface(device, iface, timestamp) && identityKey(iface)) resolveInterfaces(device, 'missing');
+            } else {
+                exporter.updateInterface(device, iface, r);
+                alerter.updateInterface(device, iface, r, uptime, times[ifIndex]);
+                events.updateInterface(device, iface, r, times[ifIndex]);
+                const extended = EXTENDED_COUNTERS.map(c => r[c.value] === undefined ? null : r[c.value]);
+                db.run(
+                    `INSERT INTO samples (timestamp, device_name, device_host, interface_index, interface_name, in_octets, out_octets, in_packets, out_packets, in_errors, out_errors, oper_status, speed_mbps, sys_uptime, ${EXTENDED_COUNTERS.map(c => c.column).join(', ')})
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${extended.map(() => '?').join(', ')})`,
+                    [times[ifIndex], device.name, device.host, iface.index, iface.name, r.inOctets, r.outOctets, r.inPackets || 0, r.outPackets || 0, r.inErrors || 0, r.outErrors || 0, r.operStatus || 0, r.speedMbps || 0, uptime, ...extended]
+                );
                 
-            } catch (err) {
-                logError(`${device.name}: Database error:`, err.message);
+                let logMsg = `${device.name}/${iface.name}: in=${formatBytes(r.inOctets)} out=${formatBytes(r.outOctets)} pkts=${r.inPackets || 0}/${r.outPackets || 0}`;
+                if (r.inErrors || r.outErrors) {
+                    logMsg += ` ERRORS=${r.inErrors}/${r.outErrors}`;
+                }
+                log(logMsg);
             }
-        });
+        }
+        for (const { metric, iface, value, timestamp } of metrics) {
+            if (rebooted && iface && identityKey(iface)) continue;
+            const stored = recordMetric(db, timestamp, device, iface, metric, value);
+            log(`${device.name}/${iface ? `${iface.name}.` : ''}${metric.name}: ${stored}${metric.unit ? ` ${metric.unit}` : ''}`);
+        }
+        
+        db.run('COMMIT');
+        db.flush();
+        log(`${device.name}: Stored ${Object.keys(results).length} samples${responses.length > 1 ? ` from ${responses.length} requests` : ''}`);
+        
+    } catch (err) {
+        logError(`${device.name}: Database error:`, err.message);
+        try {
+            db.run('ROLLBACK');
+        } catch (e) {
+            // No transaction open
+        }
     }
 }
 
@@ -342,13 +692,17 @@ function formatBytes(bytes) {
 
 function shutdown() {
     console.log('\nShutting down...');
-    if (pollInterval) clearInterval(pollInterval);
+    scheduler.stop();
     if (reportInterval) clearInterval(reportInterval);
+    if (rollupInterval) clearInterval(rollupInterval);
+    if (checkpointInterval) clearInterval(checkpointInterval);
+    if (httpServer) httpServer.close();
+    fs.unwatchFile(configPath);
     for (const name in sessions) {
-        sessions[name].close();
+        sessions[name].session.close();
     }
     if (db) {
-        saveDatabase();
+        db.checkpoint();
         db.close();
     }
     process.exit(0);
@@ -357,7 +711,33 @@ function shutdown() {
 process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
-init().catch(err => {
+// Send a test event through each alert notifier and exit
+async function testNotifiers() {
+    const results = await createAlerter(config.alerts, { logAlert, logError }).test();
+    for (const r of results) {
+        console.log(`  ${r.name}: ${r.ok ? 'ok' : `FAILED (${r.error})`}`);
+    }
+    process.exit(results.every(r => r.ok) ? 0 : 1);
+}
+
+// Validate the config, credentials and alert rules without polling
+function checkConfig() {
+    try {
+        createAlerter(config.alerts, { logAlert, logError });
+        const secrets = loadSecrets(resolveConfigPath(config.settings.secrets));
+        for (const device of config.devices) {
+            securityLevel(sessionTarget(device, secrets));
+        }
+    } catch (err) {
+        console.error(`${configPath}: ${err.message}`);
+        process.exit(1);
+    }
+    const interfaces = config.devices.reduce((n, d) => n + d.interfaces.length, 0);
+    console.log(`${configPath}: OK (${config.devices.length} devices, ${interfaces} interfaces, ${(config.alerts && config.alerts.rules || []).length} alert rules)`);
+    process.exit(0);
+}
+
+(checkOnly ? Promise.resolve().then(checkConfig) : testNotify ? testNotifiers() : init()).catch(err => {
     console.error('Failed to initialize:', err);
     process.exit(1);
 });
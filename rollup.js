@@ -0,0 +1,328 @@
+// Rollup tiers and retention for the samples table
+//
+// Rollup rows hold counter deltas (already reset and wrap corrected), bucketed by
+// the timestamp of the sample that ends each delta, so any range can be totalled
+// by summing rollup buckets and filling the unaligned edges from a finer tier.
+
+const { EXTENDED_COUNTERS, SAMPLE_COLUMNS, COUNTER_KEYS, sampleDelta, getSamples, emptyTotals, accumulate, addCounterColumns } = require('./counters');
+
+const TIERS = [
+    { name: '5m', table: 'samples_5m', secs: 5 * 60, source: 'raw', catchup: 7 * 24 * 60 * 60 },
+    { name: '1h', table: 'samples_1h', secs: 60 * 60, source: '5m', catchup: 30 * 24 * 60 * 60 },
+];
+
+// In the order of COUNTER_KEYS
+const ROLLUP_COLUMNS = `in_octets, out_octets, in_packets, out_packets, in_errors, out_errors, ${EXTENDED_COUNTERS.map((c) => c.column).join(', ')}`;
+const ROLLUP_SUMS = ROLLUP_COLUMNS.split(', ')
+    .map((column) => `SUM(${column})`)
+    .join(', ');
+
+function parseDuration(val) {
+    if (typeof val === 'number') return val;
+    const match = /^(\d+(?:\.\d+)?)\s*([smhdwy]?)$/.exec(String(val).trim());
+    if (!match) throw new Error(`Invalid duration: ${val}`);
+    const units = { '': 1, 's': 1, 'm': 60, 'h': 60 * 60, 'd': 24 * 60 * 60, 'w': 7 * 24 * 60 * 60, 'y': 365 * 24 * 60 * 60 };
+    return Math.round(parseFloat(match[1]) * units[match[2]]);
+}
+
+// settings.retention: { raw: 7d, 5m: 90d, 1h: 5y, metrics: 90d }, a missing tier is kept forever
+function parseRetention(retention) {
+    const result = {};
+    for (const name of ['raw', ...TIERS.map((t) => t.name), 'metrics']) {
+        if (retention && retention[name] !== undefined && retention[name] !== null) result[name] = parseDuration(retention[name]);
+    }
+    return result;
+}
+
+function createRollupTables(db) {
+    for (const tier of TIERS) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS ${tier.table} (
+                timestamp INTEGER NOT NULL,
+                device_name TEXT NOT NULL,
+                interface_index INTEGER NOT NULL,
+                interface_name TEXT NOT NULL,
+                duration INTEGER NOT NULL,
+                samples INTEGER NOT NULL,
+                resets INTEGER NOT NULL DEFAULT 0,
+                in_octets INTEGER NOT NULL,
+                out_octets INTEGER NOT NULL,
+                in_packets INTEGER NOT NULL DEFAULT 0,
+                out_packets INTEGER NOT NULL DEFAULT 0,
+                in_errors INTEGER NOT NULL DEFAULT 0,
+                out_errors INTEGER NOT NULL DEFAULT 0,
+                in_discards INTEGER NOT NULL DEFAULT 0,
+                out_discards INTEGER NOT NULL DEFAULT 0,
+                in_multicast INTEGER NOT NULL DEFAULT 0,
+                out_multicast INTEGER NOT NULL DEFAULT 0,
+                in_broadcast INTEGER NOT NULL DEFAULT 0,
+                out_broadcast INTEGER NOT NULL DEFAULT 0,
+                in_unknown_protos INTEGER NOT NULL DEFAULT 0,
+                in_peak_mbps REAL NOT NULL DEFAULT 0,
+                out_peak_mbps REAL NOT NULL DEFAULT 0,
+                speed_mbps INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (device_name, interface_index, timestamp)
+            )
+        `);
+        addCounterColumns(db, tier.table, 'INTEGER NOT NULL DEFAULT 0');
+        db.run(`CREATE INDEX IF NOT EXISTS idx_${tier.table}_timestamp ON ${tier.table}(timestamp)`);
+    }
+}
+
+function tableExists(db, table) {
+    const result = db.exec(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return result.length > 0;
+}
+
+function scalar(db, sql, params = []) {
+    const result = db.exec(sql, params);
+    return result.length ? result[0].values[0][0] : null;
+}
+
+// Earliest data and end of the last complete bucket for each tier, cached per database handle
+const tierCache = new WeakMap();
+function getTierState(db) {
+    if (tierCache.has(db)) return tierCache.get(db);
+    const state = { raw: { earliest: scalar(db, 'SELECT MIN(timestamp) FROM samples'), rolledUntil: null } };
+    for (const tier of TIERS) {
+        if (!tableExists(db, tier.table)) continue;
+        const [earliest, latest] = db.exec(`SELECT MIN(timestamp), MAX(timestamp) FROM ${tier.table}`)[0].values[0];
+        if (earliest !== null) state[tier.name] = { earliest, rolledUntil: latest + tier.secs };
+    }
+    tierCache.set(db, state);
+    return state;
+}
+
+function rollupFromRaw(db, tier, start, end) {
+    const interfaces = db.exec(`SELECT DISTINCT device_name, interface_index FROM samples WHERE timestamp >= ? AND timestamp < ?`, [start, end]);
+    if (!interfaces.length) return 0;
+    let count = 0;
+    for (const [device, ifaceIndex] of interfaces[0].values) {
+        const rows = getSamples(db, device, ifaceIndex, start, end, `${SAMPLE_COLUMNS}, interface_name, speed_mbps`);
+        const buckets = new Map();
+        for (let i = 1; i < rows.length; i++) {
+            const t = rows[i][0];
+            if (t < start) continue;
+            const d = sampleDelta(rows[i - 1], rows[i]);
+            if (d.duration <= 0) continue;
+            const key = Math.floor(t / tier.secs) * tier.secs;
+            if (!buckets.has(key)) buckets.set(key, { rows: [], name: null, speed: 0, inPeak: 0, outPeak: 0 });
+            const b = buckets.get(key);
+            b.rows.push(d);
+            const [name, speed] = rows[i].slice(-2);
+            b.name = name;
+            b.speed = Math.max(b.speed, speed || 0);
+            b.inPeak = Math.max(b.inPeak, (d.rx * 8) / d.duration / 1000000);
+            b.outPeak = Math.max(b.outPeak, (d.tx * 8) / d.duration / 1000000);
+        }
+        for (const [timestamp, b] of buckets) {
+            const sum = b.rows.reduce((s, d) => {
+                for (const key of COUNTER_KEYS) s[key] += d[key];
+                s.duration += d.duration;
+                s.resets += d.reset ? 1 : 0;
+                return s;
+            }, emptyTotals());
+            const values = [timestamp, device, ifaceIndex, b.name, sum.duration, b.rows.length, sum.resets, ...COUNTER_KEYS.map((key) => sum[key]), b.inPeak, b.outPeak, b.speed];
+            db.run(
+                `INSERT OR REPLACE INTO ${tier.table} (timestamp, device_name, interface_index, interface_name, duration, samples, resets, ${ROLLUP_COLUMNS}, in_peak_mbps, out_peak_mbps, speed_mbps)
+                 VALUES (${values.map(() => '?').join(', ')})`,
+                values
+            );
+            count++;
+        }
+    }
+    return count;
+}
+
+function rollupFromTier(db, tier, source, start, end) {
+    db.run(
+        `INSERT OR REPLACE INTO ${tier.table} (timestamp, device_name, interface_index, interface_name, duration, samples, resets, ${ROLLUP_COLUMNS}, in_peak_mbps, out_peak_mbps, speed_mbps)
+         SELECT (timestamp / ${tier.secs}) * ${tier.secs}, device_name, interface_index, MAX(interface_name), SUM(duration), SUM(samples), SUM(resets),
+                ${ROLLUP_SUMS},
+                MAX(in_peak_mbps), MAX(out_peak_mbps), MAX(speed_mbps)
+         FROM ${source.table}
+         WHERE timestamp >= ? AND timestamp < ?
+         GROUP BY 1, device_name, interface_index`,
+        [start, end]
+    );
+    return db.getRowsModified();
+}
+
+// Roll up complete buckets and apply retention; called periodically by the poller. Raw samples are only
+// rolled up before `settled`, the time from which samples may still be stored by polls in progress
+function maintainRollups(db, retention, now = Math.floor(Date.now() / 1000), settled = now) {
+    const stats = { rolled: {}, pruned: {} };
+    db.run('BEGIN');
+    try {
+        for (const tier of TIERS) {
+            const source = tier.source === 'raw' ? { table: 'samples', secs: 0 } : TIERS.find((t) => t.name === tier.source);
+            const latest = scalar(db, `SELECT MAX(timestamp) FROM ${tier.table}`);
+            const after = latest !== null ? latest + tier.secs : 0;
+            // Skip over gaps in the source so that a period without data doesn't stall the rollup
+            const next = scalar(db, `SELECT MIN(timestamp) FROM ${source.table} WHERE timestamp >= ?`, [after]);
+            if (next === null) continue;
+            const start = Math.max(after, Math.floor(next / tier.secs) * tier.secs);
+            // Only complete buckets, and for a coarser tier only what its source has already rolled up
+            let end = Math.floor((source.secs ? now : settled) / tier.secs) * tier.secs;
+            if (source.secs) {
+                const sourceLatest = scalar(db, `SELECT MAX(timestamp) FROM ${source.table}`);
+                end = Math.min(end, Math.floor((sourceLatest + source.secs) / tier.secs) * tier.secs);
+            }
+            // Bound the work per call so a first run over a long history catches up gradually
+            end = Math.min(end, start + tier.catchup);
+            if (end <= start) continue;
+            stats.rolled[tier.name] = source.secs ? rollupFromTier(db, tier, source, start, end) : rollupFromRaw(db, tier, start, end);
+        }
+
+        const rolledUntil = (tier) => {
+            const latest = scalar(db, `SELECT MAX(timestamp) FROM ${tier.table}`);
+            return latest === null ? null : latest + tier.secs;
+        };
+        // Never prune data that has not yet been rolled up into the next tier
+        const levels = [{ name: 'raw', table: 'samples' }, ...TIERS];
+        for (let i = 0; i < levels.length; i++) {
+            const level = levels[i];
+            if (retention[level.name] === undefined) continue;
+            let cutoff = now - retention[level.name];
+            const next = levels[i + 1];
+            if (next) {
+                const until = rolledUntil(next);
+                if (until === null) continue;
+                cutoff = Math.min(cutoff, until - next.secs);
+            }
+            db.run(`DELETE FROM ${level.table} WHERE timestamp < ?`, [cutoff]);
+            const removed = db.getRowsModified();
+            if (removed > 0) stats.pruned[level.name] = removed;
+        }
+        db.run('COMMIT');
+    } catch (err) {
+        db.run('ROLLBACK');
+        throw err;
+    }
+    tierCache.delete(db);
+    return stats;
+}
+
+// Totals over [since, until): the coarsest tier giving at least minBuckets buckets, with the unaligned edges from finer data
+function getTotals(db, device, ifaceIndex, since, until = Math.floor(Date.now() / 1000) + 1, minBuckets = 24) {
+    const state = getTierState(db);
+    for (let i = TIERS.length - 1; i >= 0; i--) {
+        const tier = TIERS[i];
+        const tierState = state[tier.name];
+        if (!tierState || tier.secs * minBuckets > until - since) continue;
+        const from = Math.max(Math.ceil(since / tier.secs) * tier.secs, tierState.earliest);
+        const to = Math.min(Math.floor(until / tier.secs) * tier.secs, tierState.rolledUntil);
+        if (to <= from) continue;
+        const result = db.exec(
+            `SELECT SUM(duration), SUM(resets), ${ROLLUP_SUMS}
+             FROM ${tier.table}
+             WHERE device_name = ? AND interface_index = ? AND timestamp >= ? AND timestamp < ?`,
+            [device, ifaceIndex, from, to]
+        );
+        const [duration, resets, ...counters] = result[0].values[0];
+        const total = { ...Object.fromEntries(COUNTER_KEYS.map((key, i) => [key, counters[i] || 0])), duration: duration || 0, resets: resets || 0 };
+        for (const [edgeSince, edgeUntil] of [
+            [since, from],
+            [to, until],
+        ]) {
+            if (edgeUntil <= edgeSince) continue;
+            // Edges prefer the finest data but fall back to any tier once raw samples have been pruned
+            const edge = getTotals(db, device, ifaceIndex, edgeSince, edgeUntil, 1);
+            for (const key of Object.keys(total)) total[key] += edge[key];
+        }
+        return total;
+    }
+    const raw = accumulate(getSamples(db, device, ifaceIndex, since, until));
+    // A short window from before the finer tiers' retention can still be answered by coarser buckets
+    return raw.duration > 0 || minBuckets <= 1 ? raw : getTotals(db, device, ifaceIndex, since, until, 1);
+}
+
+// Per-interval rates over [since, until) from the finest tier that holds data back to since
+function getRates(db, device, ifaceIndex, since = 0, until = Number.MAX_SAFE_INTEGER) {
+    const state = getTierState(db);
+    const tier = [{ name: 'raw', secs: 0 }, ...TIERS].find((t) => state[t.name] && state[t.name].earliest !== null && state[t.name].earliest <= Math.max(since, earliestOverall(state)));
+    if (!tier || !tier.secs) {
+        const rows = getSamples(db, device, ifaceIndex, since, until);
+        const rates = [];
+        for (let i = 1; i < rows.length; i++) {
+            const d = sampleDelta(rows[i - 1], rows[i]);
+            if (d.duration <= 0 || d.duration > 600) continue; // Skip gaps > 10min
+            if (d.reset) continue; // Counter reset
+            rates.push({ timestamp: (rows[i - 1][0] + rows[i][0]) / 2, duration: d.duration, rxMbps: (d.rx * 8) / d.duration / 1000000, txMbps: (d.tx * 8) / d.duration / 1000000 });
+        }
+        return rates;
+    }
+    const result = db.exec(
+        `SELECT timestamp, duration, resets, in_octets, out_octets
+         FROM ${tier.table}
+         WHERE device_name = ? AND interface_index = ? AND timestamp >= ? AND timestamp < ?
+         ORDER BY timestamp`,
+        [device, ifaceIndex, since, until]
+    );
+    if (!result.length) return [];
+    return result[0].values
+        .filter(([, duration, resets]) => duration > 0 && duration <= Math.max(600, 2 * tier.secs) && !resets)
+        .map(([timestamp, duration, , rx, tx]) => ({ timestamp: timestamp + tier.secs / 2, duration, rxMbps: (rx * 8) / duration / 1000000, txMbps: (tx * 8) / duration / 1000000 }));
+}
+
+// Per-slot totals over [from, to) in steps of step seconds, from the coarsest tier whose buckets fit the slots
+function getSeries(db, device, ifaceIndex, from, to, step) {
+    const state = getTierState(db);
+    const slots = [];
+    for (let t = from; t < to; t += step) slots.push({ time: t, ...emptyTotals(), rxPeakMbps: 0, txPeakMbps: 0 });
+    const add = (t, d, rxPeakMbps, txPeakMbps) => {
+        const slot = slots[Math.floor((t - from) / step)];
+        if (!slot) return;
+        for (const key of ['duration', ...COUNTER_KEYS, 'resets']) slot[key] += d[key];
+        slot.rxPeakMbps = Math.max(slot.rxPeakMbps, rxPeakMbps);
+        slot.txPeakMbps = Math.max(slot.txPeakMbps, txPeakMbps);
+    };
+
+    const eligible = [...TIERS].reverse().filter((t) => state[t.name] && step % t.secs === 0 && from % t.secs === 0);
+    let tier = eligible.find((t) => state[t.name].earliest <= from);
+    if (!tier && !(state.raw.earliest !== null && state.raw.earliest <= from) && eligible.length) {
+        tier = eligible.reduce((a, b) => (state[b.name].earliest < state[a.name].earliest ? b : a));
+    }
+
+    let rawFrom = from;
+    if (tier) {
+        const until = Math.min(to, state[tier.name].rolledUntil);
+        const result = db.exec(
+            `SELECT timestamp, duration, resets, ${ROLLUP_COLUMNS}, in_peak_mbps, out_peak_mbps
+             FROM ${tier.table}
+             WHERE device_name = ? AND interface_index = ? AND timestamp >= ? AND timestamp < ?`,
+            [device, ifaceIndex, from, until]
+        );
+        for (const [t, duration, resets, ...rest] of result.length ? result[0].values : []) {
+            const [rxPeak, txPeak] = rest.slice(COUNTER_KEYS.length);
+            add(t, { duration, resets, ...Object.fromEntries(COUNTER_KEYS.map((key, i) => [key, rest[i]])) }, rxPeak, txPeak);
+        }
+        rawFrom = Math.max(from, until);
+    }
+    if (rawFrom < to) {
+        const rows = getSamples(db, device, ifaceIndex, rawFrom, to);
+        for (let i = 1; i < rows.length; i++) {
+            if (rows[i][0] < rawFrom) continue;
+            const d = sampleDelta(rows[i - 1], rows[i]);
+            if (d.duration <= 0) continue;
+            add(rows[i][0], { ...d, resets: d.reset ? 1 : 0 }, (d.rx * 8) / d.duration / 1000000, (d.tx * 8) / d.duration / 1000000);
+        }
+    }
+    return slots;
+}
+
+function earliestOverall(state) {
+    const all = Object.values(state)
+        .map((s) => s.earliest)
+        .filter((t) => t !== null);
+    return all.length ? Math.min(...all) : 0;
+}
+
+// Earliest time that data with buckets of at most secs seconds is held from, or null when there is none
+function retainedSince(db, secs) {
+    const state = getTierState(db);
+    const levels = [{ name: 'raw', secs: 0 }, ...TIERS].filter((t) => t.secs <= secs && state[t.name] && state[t.name].earliest !== null);
+    return levels.length ? Math.min(...levels.map((t) => state[t.name].earliest)) : null;
+}
+
+module.exports = { TIERS, parseDuration, parseRetention, createRollupTables, maintainRollups, getTotals, getRates, getSeries, retainedSince };
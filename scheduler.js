@@ -0,0 +1,153 @@
+// Per-device poll timers and request splitting for poller.js
+//
+// Each device is polled on its own timer every poll_interval seconds (the device's, else
+// settings.poll_interval), the first time after a random delay of up to poll_jitter seconds
+// so that devices do not all send at once. A tick that comes while the device's previous
+// poll is still running is skipped, or with poll_overlap: queue run as soon as it finishes.
+//
+// A poll's OIDs are sent in GETs of at most max_oids varbinds, packed so that the columns
+// of one interface go in the same request where they fit. A request the agent answers with
+// tooBig is split in half and retried, and the smaller size is used from then on.
+
+const snmp = require('net-snmp');
+
+const DEFAULT_MAX_OIDS = 60;
+const DEFAULT_JITTER = 5;
+const OVERLAP_MODES = ['skip', 'queue'];
+
+function pollSecs(device, settings) {
+    return device.poll_interval || settings.poll_interval;
+}
+
+function pollJitter(settings) {
+    return settings.poll_jitter === undefined ? DEFAULT_JITTER : settings.poll_jitter;
+}
+
+function maxOids(device, settings) {
+    return device.max_oids || settings.max_oids || DEFAULT_MAX_OIDS;
+}
+
+// poll(device) returns a promise settled when the device's poll is done; onSkip(device, secs) is told of
+// skipped ticks and onError(device, err) of a poll that failed, which leaves the other devices polling
+function createScheduler({ poll, onSkip = () => {}, onError = () => {} }) {
+    const states = new Map();
+
+    async function run(state) {
+        if (state.running) {
+            if (state.overlap === 'queue') state.queued = true;
+            else onSkip(state.device, Math.round((Date.now() - state.running) / 1000));
+            return;
+        }
+        state.running = Date.now();
+        try {
+            await poll(state.device);
+        } catch (err) {
+            onError(state.device, err);
+        } finally {
+            state.running = null;
+        }
+        if (state.queued) {
+            state.queued = false;
+            run(state);
+        }
+    }
+
+    function stop(state) {
+        state.queued = false;
+        clearTimeout(state.timer);
+        clearInterval(state.timer);
+    }
+
+    return {
+        // Start timers for new devices or changed intervals; other devices keep their timing
+        update(devices, settings) {
+            const jitter = pollJitter(settings);
+            for (const name of states.keys()) {
+                if (!devices.some((device) => device.name === name)) {
+                    stop(states.get(name));
+                    states.delete(name);
+                }
+            }
+            for (const device of devices) {
+                const secs = pollSecs(device, settings);
+                if (!states.has(device.name)) states.set(device.name, { running: null, queued: false });
+                const state = states.get(device.name);
+                if (state.secs !== secs) {
+                    stop(state);
+                    state.secs = secs;
+                    const delay = Math.random() * Math.min(jitter, secs) * 1000;
+                    const start = () => {
+                        state.timer = setInterval(() => run(state), secs * 1000);
+                        run(state);
+                    };
+                    state.timer = setTimeout(start, delay);
+                }
+                state.device = device;
+                state.overlap = String(settings.poll_overlap || 'skip').toLowerCase();
+            }
+        },
+        // Start time (ms) of the earliest poll still in progress, or null
+        runningSince() {
+            const running = [...states.values()].map((state) => state.running).filter((time) => time !== null);
+            return running.length > 0 ? Math.min(...running) : null;
+        },
+        stop() {
+            for (const state of states.values()) stop(state);
+            states.clear();
+        },
+    };
+}
+
+function get(session, oids) {
+    return new Promise((resolve, reject) => session.get(oids, (error, varbinds) => (error ? reject(error) : resolve(varbinds))));
+}
+
+function isTooBig(error) {
+    return error instanceof snmp.RequestFailedError && error.status === snmp.ErrorStatus.TooBig;
+}
+
+// Pack groups of OIDs into requests of at most max OIDs, splitting only groups larger than that
+function packRequests(groups, max) {
+    const requests = [];
+    let request = [];
+    let size = 0;
+    for (const group of groups) {
+        for (let i = 0; i < group.length; i += max) {
+            const part = group.slice(i, i + max);
+            if (size + part.length > max) {
+                requests.push(request);
+                request = [];
+                size = 0;
+            }
+            request.push(part);
+            size += part.length;
+        }
+    }
+    if (request.length > 0) requests.push(request);
+    return requests;
+}
+
+// GET groups of OIDs one request at a time: { responses: [{ varbinds, time }], max } with the time
+// (ms) each response arrived and the request size the agent accepted
+async function getGroups(session, groups, max) {
+    const responses = [];
+    const pending = packRequests(groups, max);
+    while (pending.length > 0) {
+        const request = pending.shift();
+        const oids = request.flat();
+        if (oids.length > max) {
+            pending.unshift(...packRequests(request, max));
+            continue;
+        }
+        try {
+            responses.push({ varbinds: await get(session, oids), time: Date.now() });
+        } catch (error) {
+            if (!isTooBig(error) || oids.length === 1) throw error;
+            max = Math.ceil(oids.length / 2);
+            pending.unshift(request);
+        }
+    }
+    return { responses, max };
+}
+
+module.exports = { OVERLAP_MODES, pollSecs, pollJitter, maxOids, createScheduler, getGroups };
@@ -0,0 +1,93 @@
+// SNMP session creation shared by poller.js and discover.js
+//
+// Devices default to v2c with a community. With `version: 3` a device uses a USM
+// user, with the security level implied by which keys are present. Credentials can
+// be written inline, as ${ENV_VAR} references, or kept in a separate secrets file
+// keyed by device name or host, whose values override those in the config.
+
+const fs = require('fs');
+const snmp = require('net-snmp');
+const YAML = require('yaml');
+
+const CREDENTIAL_FIELDS = ['community', 'user', 'auth_protocol', 'auth_key', 'priv_protocol', 'priv_key'];
+
+const AUTH_PROTOCOLS = ['md5', 'sha', 'sha224', 'sha256', 'sha384', 'sha512'];
+const PRIV_PROTOCOLS = ['des', 'aes', 'aes256b', 'aes256r'];
+
+function expandEnv(value, what) {
+    if (typeof value !== 'string') return value;
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+        if (process.env[name] === undefined) throw new Error(`${what}: environment variable ${name} is not set`);
+        return process.env[name];
+    });
+}
+
+function loadSecrets(secretsPath) {
+    if (!secretsPath) return {};
+    if (!fs.existsSync(secretsPath)) throw new Error(`Secrets file not found: ${secretsPath}`);
+    const mode = fs.statSync(secretsPath).mode;
+    if (mode & 0o077) console.error(`Warning: secrets file ${secretsPath} is accessible by other users`);
+    return YAML.parse(fs.readFileSync(secretsPath, 'utf8')) || {};
+}
+
+// Credential fields for a device: config values, overridden by its secrets entry, with ${VAR} expanded
+function resolveCredentials(device, secrets = {}) {
+    const entry = secrets[device.name] || secrets[device.host] || {};
+    const result = {};
+    for (const field of CREDENTIAL_FIELDS) {
+        const value = entry[field] !== undefined ? entry[field] : device[field];
+        if (value !== undefined && value !== null) result[field] = expandEnv(String(value), `${device.name || device.host}.${field}`);
+    }
+    return result;
+}
+
+function snmpVersion(version) {
+    if (version === undefined || version === null || String(version) === '2c' || String(version) === '2') return 2;
+    if (String(version) === '1') return 1;
+    if (String(version) === '3') return 3;
+    throw new Error(`Unsupported SNMP version: ${version}`);
+}
+
+function buildUser(target) {
+    const label = target.name || target.host;
+    if (!target.user) throw new Error(`${label}: SNMPv3 requires a user`);
+    const user = { name: target.user, level: snmp.SecurityLevel.noAuthNoPriv };
+    if (target.auth_key) {
+        const authProtocol = (target.auth_protocol || 'sha').toLowerCase();
+        if (!AUTH_PROTOCOLS.includes(authProtocol)) throw new Error(`${label}: unknown auth protocol '${target.auth_protocol}' (${AUTH_PROTOCOLS.join(', ')})`);
+        user.level = snmp.SecurityLevel.authNoPriv;
+        user.authProtocol = snmp.AuthProtocols[authProtocol];
+        user.authKey = target.auth_key;
+        if (target.priv_key) {
+            const privProtocol = (target.priv_protocol || 'aes').toLowerCase();
+            if (!PRIV_PROTOCOLS.includes(privProtocol)) throw new Error(`${label}: unknown priv protocol '${target.priv_protocol}' (${PRIV_PROTOCOLS.join(', ')})`);
+            user.level = snmp.SecurityLevel.authPriv;
+            user.privProtocol = snmp.PrivProtocols[privProtocol];
+            user.privKey = target.priv_key;
+        }
+    } else if (target.priv_key) {
+        throw new Error(`${label}: a priv_key requires an auth_key`);
+    }
+    return user;
+}
+
+function securityLevel(target) {
+    if (snmpVersion(target.version) !== 3) return `v${snmpVersion(target.version) === 1 ? '1' : '2c'}`;
+    return `v3 ${snmp.SecurityLevel[buildUser(target).level]}`;
+}
+
+// target: host, port, timeout, retries, version and the credential fields
+function createSession(target) {
+    const options = {
+        port: target.port || 161,
+        timeout: target.timeout || 5000,
+    };
+    if (target.retries !== undefined) options.retries = target.retries;
+    const version = snmpVersion(target.version);
+    if (version === 3) {
+        return snmp.createV3Session(target.host, buildUser(target), { ...options, version: snmp.Version3 });
+    }
+    return snmp.createSession(target.host, target.community || 'public', { ...options, version: version === 1 ? snmp.Version1 : snmp.Version2c });
+}
+
+module.exports = { AUTH_PROTOCOLS, PRIV_PROTOCOLS, expandEnv, loadSecrets, resolveCredentials, snmpVersion, securityLevel, createSession };
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createAlerter } = require('../alerts');
+
+const device = { name: 'sw1', host: '10.0.0.1' };
+
+// A local webhook answering every POST with status; next() resolves with the body of the next one
+async function webhook(status = 200) {
+    const bodies = [];
+    const waiting = [];
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', (chunk) => (data += chunk));
+        req.on('end', () => {
+            res.writeHead(status).end();
+            const body = JSON.parse(data);
+            if (waiting.length > 0) waiting.shift()(body);
+            else bodies.push(body);
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        next: () => (bodies.length > 0 ? Promise.resolve(bodies.shift()) : new Promise((resolve) => waiting.push(resolve))),
+        pending: () => bodies.length,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+// One poll_failure rule sending to the webhook at url; errors() resolves with the next logged error
+function alerter(url) {
+    const errors = [];
+    const waiting = [];
+    const logError = (...args) => {
+        const message = args.join(' ');
+        if (waiting.length > 0) waiting.shift()(message);
+        else errors.push(message);
+    };
+    const config = { notifiers: { hook: { type: 'webhook', url } }, rules: [{ name: 'sw-down', type: 'poll_failure', for: '2m', notify: 'hook' }] };
+    return {
+        alerts: createAlerter(config, { logAlert: () => {}, logError }),
+        nextError: () => (errors.length > 0 ? Promise.resolve(errors.shift()) : new Promise((resolve) => waiting.push(resolve))),
+    };
+}
+
+test('a rule posts once when it fires and once when it resolves', async () => {
+    const hook = await webhook();
+    const { alerts } = alerter(hook.url);
+    const t0 = 1790000000;
+    try {
+        // ok -> pending: failing, but not yet for 2m
+        alerts.recordPoll(device, false, t0);
+        alerts.recordPoll(device, false, t0 + 60);
+        assert.deepStrictEqual(alerts.active(), []);
+
+        // pending -> firing
+        alerts.recordPoll(device, false, t0 + 120);
+        assert.deepStrictEqual(await hook.next(), {
+            rule: 'sw-down',
+            type: 'poll_failure',
+            device: 'sw1',
+            host: '10.0.0.1',
+            value: 1,
+            threshold: 1,
+            clear: 1,
+            timestamp: t0 + 120,
+            state: 'firing',
+            message: 'sw1 is not responding',
+        });
+
+        // firing -> resolving: answering again, but not yet for 2m
+        alerts.recordPoll(device, true, t0 + 180);
+        alerts.recordPoll(device, true, t0 + 240);
+        assert.deepStrictEqual(
+            alerts.active().map((alert) => alert.state),
+            ['resolving']
+        );
+
+        // resolving -> ok
+        alerts.recordPoll(device, true, t0 + 300);
+        assert.deepStrictEqual(await hook.next(), {
+            rule: 'sw-down',
+            type: 'poll_failure',
+            device: 'sw1',
+            host: '10.0.0.1',
+            value: 0,
+            threshold: 1,
+            clear: 1,
+            timestamp: t0 + 300,
+            firingSince: t0 + 120,
+            state: 'resolved',
+            message: 'sw1 is responding again',
+        });
+        assert.deepStrictEqual(alerts.active(), []);
+        assert.strictEqual(hook.pending(), 0);
+    } finally {
+        await hook.close();
+    }
+});
+
+test('a webhook answering with an error is logged, not thrown', async () => {
+    const hook = await webhook(500);
+    const { alerts, nextError } = alerter(hook.url);
+    try {
+        for (let t = 0; t <= 120; t += 60) alerts.recordPoll(device, false, 1790000000 + t);
+        await hook.next();
+        assert.strictEqual(await nextError(), 'Notifier hook (sw-down): HTTP 500');
+    } finally {
+        await hook.close();
+    }
+});
+
+test('a webhook refusing the connection is logged, not thrown', async () => {
+    // A port that was free a moment ago
+    const hook = await webhook();
+    const url = hook.url;
+    await hook.close();
+    const { alerts, nextError } = alerter(url);
+    for (let t = 0; t <= 120; t += 60) alerts.recordPoll(device, false, 1790000000 + t);
+    assert.match(await nextError(), /^Notifier hook \(sw-down\): connect ECONNREFUSED/);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../config');
+const { mergeConfig } = require('../merge');
+
+// What discovery would find on a device: exactly its configured interfaces
+function rediscover(config) {
+    return config.devices.map((device) => ({
+        host: device.host,
+        interfaces: device.interfaces.map((iface) => ({ index: iface.index, descr: iface.name, name: null, alias: null, type: 6, operStatus: 1, speedMbps: 1000 })),
+    }));
+}
+
+test('an unchanged config comes back byte-for-byte', () => {
+    // Comments at every indent, which re-serialising the document would move
+    const text = [
+        '# Generated config for 2 device(s)',
+        '',
+        'devices:',
+        '  - name: sw1',
+        '    host: 10.0.0.1',
+        '    community: public',
+        '    # metrics:',
+        '    #   - name: cpu',
+        '    interfaces:',
+        '      - index: 1',
+        '        name: webcam  # hand named',
+        '      # - index: 2',
+        '      #   name: n/c - ether2',
+        '      - index: 3',
+        '        name: uplink',
+        '        # billing:',
+        '        #   day: 1',
+        '',
+        '  - name: sw2',
+        '    host: 10.0.0.2',
+        '    community: public',
+        '    interfaces:',
+        '      - { index: 1, name: stolpe }',
+        '      # - index: 18',
+        '      #   name: mikrotik',
+        '',
+        'settings:',
+        '  poll_interval: 60',
+        '  database: ./traffic.sqlite',
+        '  retention:',
+        '    raw: 7d',
+        '    # metrics: 90d               # kept forever when unset',
+        '',
+        '# Alert rules, evaluated on every poll',
+        '# alerts:',
+        '#   rules:',
+        '#     - name: internet-saturated',
+        '#       type: utilization          # percent of ifHighSpeed',
+        '',
+    ].join('\n');
+    const config = loadConfig('config.yaml', { text, onWarning: () => {} });
+    const { text: merged, changes } = mergeConfig(text, config, rediscover(config), '2026-01-01');
+    assert.deepStrictEqual(changes, []);
+    assert.strictEqual(merged, text);
+});
+
+test('new devices and interfaces are inserted as comments, leaving the rest as written', () => {
+    const text = [
+        'devices:',
+        '  - name: sw1',
+        '    host: 10.0.0.1',
+        '    interfaces:',
+        '      - index: 1',
+        '        name: uplink   # hand named',
+        '      # - index: 3',
+        '      #   name: n/c 3',
+        '      - index: 9',
+        '        name: ghost',
+        '        # billing:',
+        '',
+        '# settings below',
+        'settings:',
+        '  poll_interval: 60',
+        '  database: ./traffic.sqlite',
+        '',
+    ].join('\n');
+    const config = loadConfig('config.yaml', { text, onWarning: () => {} });
+    const discovered = [
+        { host: '10.0.0.1', interfaces: [1, 3, 4].map((index) => ({ index, descr: `ether${index}`, name: null, alias: null, type: 6, operStatus: 1, speedMbps: 1000 })) },
+        { host: '10.0.0.2', community: 'public', configName: 'sw2', interfaces: [{ index: 1, descr: 'ether1', name: null, alias: null, type: 6, operStatus: 2, speedMbps: null }] },
+    ];
+    const { text: merged, changes } = mergeConfig(text, config, discovered, '2026-01-01');
+    assert.deepStrictEqual(changes, ['sw1: new interface 4 (ether4)', 'sw1: interface 9 (ghost) not found', 'new device sw2 (10.0.0.2)']);
+    assert.strictEqual(
+        merged,
+        [
+            'devices:',
+            '  - name: sw1',
+            '    host: 10.0.0.1',
+            '    interfaces:',
+            '      - index: 1',
+            '        name: uplink   # hand named',
+            '      # - index: 3',
+            '      #   name: n/c 3',
+            '      - index: 9  # not found on device (2026-01-01)',
+            '        name: ghost',
+            '        # billing:',
+            '      # New, discovered 2026-01-01:',
+            '      # - index: 4  # up, 1G',
+            '      #   name: ether4',
+            '',
+            '  # New device, discovered 2026-01-01:',
+            '  # - name: sw2',
+            '  #   host: 10.0.0.2',
+            '  #   community: public',
+            '  #   interfaces:',
+            '  #     # - index: 1  # down',
+            '  #     #   name: ether1',
+            '',
+            '# settings below',
+            'settings:',
+            '  poll_interval: 60',
+            '  database: ./traffic.sqlite',
+            '',
+        ].join('\n')
+    );
+});
@@ -2,17 +2,57 @@
 
 const fs = require('fs');
 const path = require('path');
-const initSqlJs = require('sql.js');
-const yaml = require('yaml');
+const http = require('http');
+const { TIERS, parseDuration, getTotals, getRates, getSeries } = require('./rollup');
+const { addCounterColumns } = require('./counters');
+const { createMetricsTable, listMetrics, getMetricValues } = require('./metrics');
+const { ANOMALY_DEFAULTS, getHourlyRates, getWeeklyRates, calcStats, getSlotRates, hourlyProfile, findAnomalies } = require('./baseline');
+const { journalFile, openDatabase } = require('./database');
+const { getEvents } = require('./events');
+const { resolveConfigPath, loadConfig } = require('./config');
+const { parseBytes, calcBilling } = require('./billing');
 
 const args = process.argv.slice(2);
 const modeSummary = args.includes('--summary') || args.includes('-s');
 const modeInsight = args.includes('--insight') || args.includes('-i');
 const modeHourly = args.includes('--hourly') || args.includes('-H');
+const modeEvents = args.includes('--events') || args.includes('-e');
+const modeBilling = args.includes('--billing') || args.includes('-b');
+const modeAnomalies = args.includes('--anomalies') || args.includes('-a');
+const modeHeatmap = args.includes('--heatmap') || args.includes('-w');
+const modeMetrics = args.includes('--metrics') || args.includes('-m');
+const topIndex = args.findIndex((a) => a === '--top' || a.startsWith('--top='));
+const topCountArg = topIndex < 0 ? null : args[topIndex].includes('=') ? args[topIndex].split('=')[1] : /^\d+$/.test(args[topIndex + 1] || '') ? args[topIndex + 1] : '10';
+const sinceArg = args.find((a) => a.startsWith('--since='));
+const fromArg = args.find((a) => a.startsWith('--from='));
+const toArg = args.find((a) => a.startsWith('--to='));
+const serveArg = args.find((a) => a === '--serve' || a.startsWith('--serve='));
+const compareArg = args.find((a) => a === '--compare' || a.startsWith('--compare='));
+const cycleArg = args.find((a) => a.startsWith('--cycle='));
+const cyclesArg = args.find((a) => a.startsWith('--cycles='));
+const billingDayArg = args.find((a) => a.startsWith('--billing-day='));
+const capArg = args.find((a) => a.startsWith('--cap='));
+const sigmaArg = args.find((a) => a.startsWith('--sigma='));
+const baselineArg = args.find((a) => a.startsWith('--baseline='));
+const minRateArg = args.find((a) => a.startsWith('--min-rate='));
+const byArg = args.find((a) => a.startsWith('--by='));
+const windowArg = args.find((a) => a.startsWith('--window='));
+const uplinkArg = args.find((a) => a.startsWith('--uplink='));
+const statArg = args.find((a) => a.startsWith('--stat='));
+const daysArg = args.find((a) => a === '--weekday' || a === '--weekend');
+const formatArg = args.find((a) => a.startsWith('--format='));
+const outputFormat = formatArg ? formatArg.split('=')[1] : 'text';
+const FORMATS = ['text', 'json', 'csv', 'ndjson'];
+const TOP_METRICS = ['rx', 'tx', 'total', 'peak', 'errors'];
+const HEATMAP_STATS = ['p50', 'p95'];
+// Local days of the week (0 = Sunday) for --weekday and --weekend
+const DAY_SETS = { '--weekday': [1, 2, 3, 4, 5], '--weekend': [0, 6] };
 const configPath = args.find((a) => a.endsWith('.yaml') || a.endsWith('.yml')) || path.join(__dirname, 'config.yaml');
-const filters = args.filter((a) => !a.endsWith('.yaml') && !a.endsWith('.yml') && !a.startsWith('-'));
+// The count after a bare --top is not a filter
+const filters = args.filter((a, i) => !a.endsWith('.yaml') && !a.endsWith('.yml') && !a.startsWith('-') && !(topIndex >= 0 && i === topIndex + 1 && /^\d+$/.test(a)));
 let intervalSecs = 5 * 60;
 const intervalArg = args.find((a) => a.startsWith('--interval='));
+const intervalGiven = Boolean(intervalArg) || ['--15m', '--30m', '--1h'].some((a) => args.includes(a));
 if (intervalArg) {
     const val = intervalArg.split('=')[1];
     if (val.endsWith('h')) intervalSecs = parseInt(val) * 60 * 60;
@@ -33,10 +73,35 @@ if (args.includes('--help') || args.includes('-h')) {
     console.log('  --summary, -s  Compact table view');
     console.log('  --insight, -i  ASCII graph for single interface');
     console.log('  --hourly, -H   Time-of-day analysis');
+    console.log('  --events, -e   Link, speed and reachability changes');
+    console.log('  --billing, -b  Billing cycle: 95th percentile, transfer against cap, per day');
+    console.log('  --compare[=X]  Window (--from/--to, default last 7d) against the one before it, the window');
+    console.log('                 shifted back by a duration (7d), or a range (2026-09-01..2026-09-08)');
+    console.log('  --anomalies, -a  Rates far outside the time-of-day baseline (--from/--to, default last 24h)');
+    console.log('  --heatmap, -w  Day of week by hour of day grid of rates per interface');
+    console.log('  --metrics, -m  Custom OID metrics (CPU, temperature, PoE power): last, min, mean, max, trend');
+    console.log('  --top [N]      The N (default 10) busiest interfaces in a window, with their share of the total');
+    console.log('  --serve[=[host:]port]  Web dashboard and JSON API (default 127.0.0.1:8080, 0.0.0.0:port for all)');
     console.log('');
     console.log('Options:');
     console.log('  --interval=Xm  Graph interval: 5m, 15m, 30m, 1h (insight mode)');
     console.log('  --15m/--30m/--1h  Shorthand for interval');
+    console.log('  --since=X      Events since a duration ago (7d) or a date (default 7d)');
+    console.log('  --from=T, --to=T  Time window instead of periods back from now, as a local date (2026-10-14,');
+    console.log('                 2026-10-14T14:00) or relative (-2d); billing reports the cycle as of --to');
+    console.log('  --cycle=N      Billing cycle N back from the current one (0)');
+    console.log('  --cycles=N     Previous billing cycles to compare (default 6)');
+    console.log('  --billing-day=D  Day of month billing cycles start (1-28, default: config or 1)');
+    console.log('  --cap=X        Transfer cap per cycle, e.g. 1TB (default: config)');
+    console.log(`  --sigma=N      Anomaly threshold in standard deviations (default ${ANOMALY_DEFAULTS.sigma})`);
+    console.log('  --baseline=X   History before the window to learn the baseline from (default 28d)');
+    console.log(`  --min-rate=M   Smallest deviation in Mbps counted as a full standard deviation (default ${ANOMALY_DEFAULTS.minRate})`);
+    console.log('  --weekday, --weekend  Hourly tables from Monday-Friday or Saturday-Sunday only');
+    console.log(`  --stat=S       Heatmap cells as ${HEATMAP_STATS.join(' or ')} rates (default p95)`);
+    console.log(`  --by=X         Rank top interfaces by ${TOP_METRICS.join(', ')} (default total); peak is the highest rate`);
+    console.log('  --window=X     Top window back from --to or now (default 1h), unless --from is given');
+    console.log('  --uplink=I     With --top, mark interfaces whose traffic mostly crosses this interface');
+    console.log('  --format=F     Output as text (default), json, csv or ndjson, with full-precision figures');
     console.log('');
     console.log('Filter:');
     console.log('  <interface>         Match interface name');
@@ -51,15 +116,32 @@ if (args.includes('--help') || args.includes('-h')) {
     console.log('  ./traffic.js internet -i --1h   # Graph with 1h intervals');
     console.log('  ./traffic.js -H                 # Hourly summary all interfaces');
     console.log('  ./traffic.js internet -H        # Hourly detail for "internet"');
+    console.log('  ./traffic.js workshop -H --weekend  # Hourly detail for Saturdays and Sundays');
+    console.log('  ./traffic.js workshop -w --from=-365d  # Weekly rhythm over the last year');
+    console.log('  ./traffic.js stolpe -e --since=30d  # Link changes for "stolpe"');
+    console.log('  ./traffic.js -s --format=csv    # Bytes and Mbps per period for a spreadsheet');
+    console.log('  ./traffic.js internet --from=2026-10-14T14:00 --to=2026-10-14T18:00  # One afternoon');
+    console.log('  ./traffic.js internet --from=-1d --compare=7d  # Last 24h against the same day last week');
+    console.log('  ./traffic.js -a --from=-7d --sigma=4  # Unusual traffic in the last week');
+    console.log('  ./traffic.js --top 5 --uplink=internet  # Who is using the internet link right now');
+    console.log('  ./traffic.js uh-sw16g2s -m --from=-7d  # Switch CPU and temperature over the last week');
+    console.log('  ./traffic.js internet -b --cap=2TB  # Billing cycle for "internet"');
+    console.log('  ./traffic.js --serve=8080       # Dashboard at /, JSON: /status, /interfaces, /events, /traffic, /hourly, /series');
     process.exit(0);
 }
+if (!FORMATS.includes(outputFormat)) {
+    console.error(`Unknown format '${outputFormat}', expected one of ${FORMATS.join(', ')}`);
+    process.exit(1);
+}
 
-if (!fs.existsSync(configPath)) {
-    console.error(`Config file not found: ${configPath}`);
+let config;
+try {
+    config = loadConfig(configPath);
+} catch (err) {
+    console.error(err.message);
     process.exit(1);
 }
-const config = yaml.parse(fs.readFileSync(configPath, 'utf8'));
-const dbPath = config.settings.database.startsWith('.') ? path.join(__dirname, config.settings.database) : config.settings.database;
+const dbPath = resolveConfigPath(config.settings.database);
 
 const periods = [
     { name: '5m', secs: 5 * 60 },
@@ -95,11 +177,52 @@ function formatRateShort(mbps) {
     if (mbps >= 1) return mbps.toFixed(2);
     return (mbps * 1000).toFixed(0) + 'K';
 }
+function formatBytesDecimal(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1000) return bytes + ' B';
+    const i = Math.min(4, Math.floor(Math.log10(bytes) / 3));
+    return (bytes / Math.pow(1000, i)).toFixed(2) + ' ' + ['B', 'kB', 'MB', 'GB', 'TB'][i];
+}
+function formatDate(ts) {
+    const d = new Date(ts * 1000);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
 function formatTime(ts) {
     return new Date(ts * 1000).toTimeString().substring(0, 5);
 }
+// Local time, as --from/--to are read
 function formatDateTime(ts) {
-    return new Date(ts * 1000).toISOString().replace('T', ' ').substring(0, 19);
+    return `${formatDate(ts)} ${new Date(ts * 1000).toTimeString().substring(0, 8)}`;
+}
+// ISO 8601 in local time with its offset, e.g. 2026-10-14T14:00:00+02:00
+function formatIsoLocal(ts) {
+    const offset = -new Date(ts * 1000).getTimezoneOffset();
+    const hhmm = `${String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0')}:${String(Math.abs(offset) % 60).padStart(2, '0')}`;
+    return `${formatDateTime(ts).replace(' ', 'T')}${offset < 0 ? '-' : '+'}${hhmm}`;
+}
+function formatDuration(secs) {
+    const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    const parts = [];
+    for (const [name, size] of units) {
+        if (secs >= size || (name === 's' && parts.length === 0)) {
+            parts.push(Math.floor(secs / size) + name);
+            secs %= size;
+        }
+        if (parts.length === 2) break;
+    }
+    return parts.join(' ');
+}
+
+// 'now', a duration back from now (7d, -7d, or -N seconds) or a date; a bare number is rejected rather than
+// taken as seconds ago, and a date without a time is local midnight, as a date with one is local time
+function parseWhen(val, now) {
+    if (val === 'now') return now;
+    if (/^-?\d+(\.\d+)?\s*[smhdwy]$/.test(val) || /^-\d+(\.\d+)?$/.test(val)) return now - parseDuration(val.replace(/^-/, ''));
+    const ms = Date.parse(val);
+    if (isNaN(ms) || /^\d+$/.test(val)) throw new Error(`Invalid time: ${val} (a date such as 2026-10-14 or 2026-10-14T14:00, or a time ago such as 2d)`);
+    const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(val);
+    if (date) return Math.floor(new Date(date[1], date[2] - 1, date[3]).getTime() / 1000);
+    return Math.floor(ms / 1000);
 }
 
 function getAllInterfaces(db) {
@@ -120,102 +243,618 @@ function filterInterfaces(items, filter) {
     return [];
 }
 
-function getTraffic(db, device, ifaceIndex, since) {
-    const result = db.exec(
-        `
-        SELECT 
-            MIN(timestamp) as t_start,
-            MAX(timestamp) as t_end,
-            MIN(in_octets) as in_start,
-            MAX(in_octets) as in_end,
-            MIN(out_octets) as out_start,
-            MAX(out_octets) as out_end,
-            MIN(in_errors) as in_err_start,
-            MAX(in_errors) as in_err_end,
-            MIN(out_errors) as out_err_start,
-            MAX(out_errors) as out_err_end
-        FROM (
-            SELECT timestamp, in_octets, out_octets, in_errors, out_errors
-            FROM samples 
-            WHERE device_name = ? AND interface_index = ? AND timestamp >= ?
-            ORDER BY timestamp
-        )
-    `,
-        [device, ifaceIndex, since]
-    );
-    if (!result.length || !result[0].values[0][0]) return null;
-    const [t_start, t_end, in_start, in_end, out_start, out_end, in_err_start, in_err_end, out_err_start, out_err_end] = result[0].values[0];
-    const duration = t_end - t_start;
-    if (duration <= 0) return null;
+function getTraffic(db, device, ifaceIndex, since, until) {
+    const t = getTotals(db, device, ifaceIndex, since, until);
+    if (t.duration <= 0) return null;
     return {
-        rx: in_end - in_start,
-        tx: out_end - out_start,
-        errors: (in_err_end || 0) - (in_err_start || 0) + ((out_err_end || 0) - (out_err_start || 0)),
-        duration,
+        rx: t.rx,
+        tx: t.tx,
+        errors: t.rxErrors + t.txErrors,
+        resets: t.resets,
+        duration: t.duration,
+        unicast: t.rxPackets + t.txPackets,
+        multicast: t.rxMulticast + t.txMulticast,
+        broadcast: t.rxBroadcast + t.txBroadcast,
+        rxDiscards: t.rxDiscards,
+        txDiscards: t.txDiscards,
+        unknownProtos: t.unknownProtos,
     };
 }
 
-function getHourlyRates(db, device, ifaceIndex) {
+// Discarded as a percentage of all packets that were either passed or discarded, null without packets
+function discardPercent(traffic) {
+    const discards = traffic.rxDiscards + traffic.txDiscards;
+    const packets = traffic.unicast + traffic.multicast + traffic.broadcast + discards;
+    return packets > 0 ? (discards / packets) * 100 : null;
+}
+
+// Unicast/multicast/broadcast percentages of the packets, e.g. 97/2/1
+function formatPacketMix({ unicast, multicast, broadcast }) {
+    const total = unicast + multicast + broadcast;
+    if (total === 0) return '-';
+    return [unicast, multicast, broadcast].map((n) => Math.round((n / total) * 100)).join('/');
+}
+
+function calcPeriods(db, iface, list = periods, now = Math.floor(Date.now() / 1000)) {
+    return list.map((period) => {
+        const traffic = getTraffic(db, iface.device, iface.index, now - period.secs, now + 1);
+        if (!traffic) return { period: period.name, secs: period.secs, data: false };
+        return {
+            period: period.name,
+            secs: period.secs,
+            data: true,
+            rx: traffic.rx,
+            tx: traffic.tx,
+            rxMbps: (traffic.rx * 8) / traffic.duration / 1000000,
+            txMbps: (traffic.tx * 8) / traffic.duration / 1000000,
+            errors: traffic.errors,
+            resets: traffic.resets,
+            duration: traffic.duration,
+            packets: { unicast: traffic.unicast, multicast: traffic.multicast, broadcast: traffic.broadcast },
+            discards: { rx: traffic.rxDiscards, tx: traffic.txDiscards, percent: discardPercent(traffic) },
+            unknownProtos: traffic.unknownProtos,
+        };
+    });
+}
+
+function calcHourly(db, iface, from = 0, to = Number.MAX_SAFE_INTEGER, days = null) {
+    const rates = getHourlyRates(db, iface.device, iface.index, from, to, days);
+    if (!rates) return null;
+    const hours = [];
+    for (let h = 0; h < 24; h++) hours.push({ hour: h, rx: calcStats(rates[h].rx), tx: calcStats(rates[h].tx) });
+    return {
+        hours,
+        overall: {
+            rx: calcStats(Object.values(rates).flatMap((r) => r.rx)),
+            tx: calcStats(Object.values(rates).flatMap((r) => r.tx)),
+        },
+    };
+}
+
+function calcSeries(db, iface, step, from, to) {
+    return getSeries(db, iface.device, iface.index, from, to, step).map((slot) => ({
+        ...slot,
+        rxMbps: slot.duration > 0 ? (slot.rx * 8) / slot.duration / 1000000 : null,
+        txMbps: slot.duration > 0 ? (slot.tx * 8) / slot.duration / 1000000 : null,
+    }));
+}
+
+function getLatest(db, device, ifaceIndex) {
     const result = db.exec(
-        `SELECT timestamp, in_octets, out_octets
-         FROM samples
+        `SELECT timestamp, oper_status, speed_mbps FROM samples
          WHERE device_name = ? AND interface_index = ?
-         ORDER BY timestamp`,
+         ORDER BY timestamp DESC LIMIT 1`,
         [device, ifaceIndex]
     );
-    if (!result.length || result[0].values.length < 2) return null;
-    const rows = result[0].values;
-    const hourlyRates = {};
-    for (let h = 0; h < 24; h++) hourlyRates[h] = { rx: [], tx: [] };
-    for (let i = 1; i < rows.length; i++) {
-        const [t1, in1, out1] = rows[i - 1];
-        const [t2, in2, out2] = rows[i];
-        const duration = t2 - t1;
-        if (duration <= 0 || duration > 600) continue; // Skip gaps > 10min
-        const rxBytes = in2 - in1;
-        const txBytes = out2 - out1;
-        if (rxBytes < 0 || txBytes < 0) continue; // Counter reset
-        const rxMbps = (rxBytes * 8) / duration / 1000000;
-        const txMbps = (txBytes * 8) / duration / 1000000;
-        const midpoint = (t1 + t2) / 2;
-        const hour = new Date(midpoint * 1000).getHours();
-        hourlyRates[hour].rx.push(rxMbps);
-        hourlyRates[hour].tx.push(txMbps);
-    }
-    return hourlyRates;
-}
-
-function percentile(sorted, p) {
-    if (sorted.length === 0) return 0;
-    const idx = (p / 100) * (sorted.length - 1);
-    const lower = Math.floor(idx);
-    const upper = Math.ceil(idx);
-    if (lower === upper) return sorted[lower];
-    return sorted[lower] + (sorted[upper] - sorted[lower]) * (idx - lower);
-}
-
-function calcStats(values) {
-    if (!values || values.length === 0) return null;
-    const sorted = [...values].sort((a, b) => a - b);
-    const n = values.length;
-    const mean = values.reduce((a, b) => a + b, 0) / n;
-    const min = sorted[0];
-    const max = sorted[n - 1];
-    const p50 = percentile(sorted, 50);
-    const p95 = percentile(sorted, 95);
-    const p99 = percentile(sorted, 99);
-    if (n === 1) return { mean, ci: 0, stddev: 0, n, min, max, p50, p95, p99 };
-    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (n - 1);
-    const stddev = Math.sqrt(variance);
-    const tValues = { 2: 12.71, 3: 4.3, 4: 3.18, 5: 2.78, 6: 2.57, 7: 2.45, 8: 2.36, 9: 2.31, 10: 2.26, 15: 2.13, 20: 2.09, 30: 2.04 };
-    let t = 1.96;
-    for (const [df, tv] of Object.entries(tValues))
-        if (n - 1 <= parseInt(df)) {
-            t = tv;
-            break;
+    if (!result.length) return null;
+    const [timestamp, operStatus, speedMbps] = result[0].values[0];
+    return { timestamp, operStatus, speedMbps };
+}
+
+// Configured devices and interfaces with their latest state and rates over the last 5 minutes
+function calcStatus(db, now = Math.floor(Date.now() / 1000)) {
+    return config.devices.map((device) => ({
+        name: device.name,
+        host: device.host,
+        interfaces: device.interfaces.map((iface) => {
+            const latest = getLatest(db, device.name, iface.index);
+            const traffic = getTraffic(db, device.name, iface.index, now - 5 * 60);
+            return {
+                index: iface.index,
+                name: iface.name,
+                lastSeen: latest ? latest.timestamp : null,
+                operStatus: latest ? latest.operStatus : null,
+                speedMbps: latest ? latest.speedMbps : null,
+                rxMbps: traffic ? (traffic.rx * 8) / traffic.duration / 1000000 : null,
+                txMbps: traffic ? (traffic.tx * 8) / traffic.duration / 1000000 : null,
+            };
+        }),
+    }));
+}
+
+// Events that change the same state, for how long each state lasted
+const EVENT_GROUPS = { link_up: 'link', link_down: 'link', speed: 'speed', missing: 'presence', present: 'presence', unreachable: 'reach', reachable: 'reach', renumbered: 'ifindex' };
+
+// Events since a time (and before until), optionally limited to interfaces (and their devices), each with how long its new state lasted
+function calcEvents(db, items, since, now = Math.floor(Date.now() / 1000), until = null) {
+    const events = getEvents(db, since, until === null ? undefined : until).filter((e) => !items || items.some((i) => i.device === e.device && (e.index === null || i.index === e.index)));
+    const next = {};
+    for (let i = events.length - 1; i >= 0; i--) {
+        const e = events[i];
+        const key = `${e.device}/${e.index}/${EVENT_GROUPS[e.type] || e.type}`;
+        e.lasted = (next[key] !== undefined ? next[key] : until === null ? now : Math.min(now, until)) - e.timestamp;
+        e.ongoing = next[key] === undefined && until === null;
+        next[key] = e.timestamp;
+    }
+    return events;
+}
+
+function showEvents(db, items, since, until = null) {
+    const events = calcEvents(db, items, since, Math.floor(Date.now() / 1000), until);
+    if (outputFormat !== 'text') return emitEvents(events);
+    console.log(`\n=== EVENTS since ${formatDateTime(since)}${until !== null ? ` until ${formatDateTime(until)}` : ''} ===\n`);
+    if (!events.length) {
+        console.log('No events\n');
+        return;
+    }
+    const nameWidth = Math.min(45, Math.max(20, ...events.map((e) => `${e.device}/${e.name || ''}`.length + 2)));
+    console.log('Time'.padEnd(21) + 'Device/Interface'.padEnd(nameWidth) + 'Event'.padEnd(13) + 'Change'.padEnd(26) + 'Lasted');
+    console.log('-'.repeat(21 + nameWidth + 13 + 26 + 16));
+    for (const e of events) {
+        const target = e.name !== null ? `${e.device}/${e.name}` : e.device;
+        const change = e.previous !== null || e.current !== null ? `${e.type === 'renumbered' ? 'ifIndex ' : ''}${e.previous} -> ${e.current}${e.type === 'speed' ? ' Mbps' : ''}` : e.detail || '';
+        console.log(formatDateTime(e.timestamp).padEnd(21) + target.substring(0, nameWidth - 1).padEnd(nameWidth) + e.type.padEnd(13) + change.substring(0, 25).padEnd(26) + formatDuration(e.lasted) + (e.ongoing ? ' (ongoing)' : ''));
+    }
+    // Link-down count per interface, so a flapping link stands out
+    const downs = {};
+    for (const e of events) if (e.type === 'link_down') downs[`${e.device}/${e.name}`] = (downs[`${e.device}/${e.name}`] || 0) + 1;
+    const flapping = Object.entries(downs).sort((a, b) => b[1] - a[1]);
+    if (flapping.length) {
+        console.log('\nLink down:');
+        for (const [target, count] of flapping) console.log(`  ${target.padEnd(nameWidth)}${count}x`);
+    }
+    console.log('');
+}
+
+// Billing day and cap of an interface from its config, overridden on the command line
+function billingSettings(item) {
+    const device = config.devices.find((d) => d.name === item.device);
+    const iface = device && device.interfaces.find((i) => i.index === item.index);
+    const billing = (iface && iface.billing) || {};
+    return {
+        day: billingDayArg ? parseInt(billingDayArg.split('=')[1]) : billing.day || 1,
+        cap: capArg ? parseBytes(capArg.split('=')[1]) : billing.cap !== undefined ? parseBytes(billing.cap) : null,
+    };
+}
+
+// A billing cycle `back` cycles ago with its days, and up to `count` earlier cycles that have data
+function calcBillingReport(db, item, back = 0, count = 6, now = Math.floor(Date.now() / 1000)) {
+    const settings = billingSettings(item);
+    const previous = [];
+    for (let n = back + 1; n <= back + count; n++) {
+        const { days, ...cycle } = calcBilling(db, item.device, item.index, settings, n, now);
+        if (cycle.samples > 0) previous.push(cycle);
+    }
+    return { ...describe(item), ...calcBilling(db, item.device, item.index, settings, back, now), previous };
+}
+
+function showBilling(db, items, back, count, now) {
+    const reports = items.map((item) => calcBillingReport(db, item, back, count, now));
+    if (outputFormat !== 'text') return emitBilling(reports);
+    for (const report of reports) {
+        const length = Math.round((report.end - report.start) / 86400);
+        const mbps = (value) => (value === null ? '-' : value.toFixed(2));
+        console.log(`\n=== BILLING: ${report.device}/${report.name} ===\n`);
+        console.log(`Cycle:      ${formatDate(report.start)} → ${formatDate(report.end)}${report.current ? ` (day ${Math.ceil(report.elapsed / 86400)} of ${length})` : ''}`);
+        if (report.samples === 0) {
+            console.log('            no data\n');
+            continue;
         }
-    const ci = t * (stddev / Math.sqrt(n));
-    return { mean, ci, stddev, n, min, max, p50, p95, p99 };
+        console.log(`Transfer:   RX ${formatBytesDecimal(report.rx)}   TX ${formatBytesDecimal(report.tx)}   Total ${formatBytesDecimal(report.total)}`);
+        if (report.cap) console.log(`Cap:        ${formatBytesDecimal(report.cap)}, ${(report.capUsed * 100).toFixed(1)}% used, ${formatBytesDecimal(Math.max(0, report.cap - report.total))} left`);
+        if (report.projected !== null) console.log(`Projected:  ${formatBytesDecimal(Math.round(report.projected))} by ${formatDate(report.end)}${report.cap ? ` (${((report.projected / report.cap) * 100).toFixed(1)}% of cap)` : ''}`);
+        if (report.p95 === null) console.log('95th pct:   not retained (only hourly data is kept from this cycle)');
+        else console.log(`95th pct:   RX ${mbps(report.rxP95)} Mbps   TX ${mbps(report.txP95)} Mbps   Billed ${mbps(report.p95)} Mbps (${report.samples} 5-minute samples)`);
+
+        console.log('\n' + 'Date'.padEnd(12) + 'RX'.padStart(13) + 'TX'.padStart(13) + 'Total'.padStart(13) + '95th Mbps'.padStart(12));
+        console.log('-'.repeat(63));
+        for (const day of report.days) {
+            console.log(formatDate(day.start).padEnd(12) + formatBytesDecimal(day.rx).padStart(13) + formatBytesDecimal(day.tx).padStart(13) + formatBytesDecimal(day.total).padStart(13) + mbps(day.p95).padStart(12));
+        }
+
+        if (report.previous.length > 0) {
+            console.log('\nPrevious cycles:');
+            console.log('Cycle'.padEnd(25) + 'RX'.padStart(13) + 'TX'.padStart(13) + 'Total'.padStart(13) + 'Cap'.padStart(8) + '95th Mbps'.padStart(12));
+            console.log('-'.repeat(84));
+            for (const cycle of report.previous) {
+                console.log(
+                    `${formatDate(cycle.start)} → ${formatDate(cycle.end)}`.padEnd(25) +
+                        formatBytesDecimal(cycle.rx).padStart(13) +
+                        formatBytesDecimal(cycle.tx).padStart(13) +
+                        formatBytesDecimal(cycle.total).padStart(13) +
+                        (cycle.cap ? `${(cycle.capUsed * 100).toFixed(0)}%` : '-').padStart(8) +
+                        mbps(cycle.p95).padStart(12)
+                );
+            }
+        }
+        console.log('');
+    }
+}
+
+// Totals, mean and p95 rates of an interface over [from, to)
+function calcWindow(db, iface, from, to) {
+    const traffic = getTraffic(db, iface.device, iface.index, from, to);
+    const rates = getRates(db, iface.device, iface.index, from, to);
+    const rx = calcStats(rates.map((r) => r.rxMbps));
+    const tx = calcStats(rates.map((r) => r.txMbps));
+    return {
+        from,
+        to,
+        rx: traffic ? traffic.rx : 0,
+        tx: traffic ? traffic.tx : 0,
+        rxMbps: traffic ? (traffic.rx * 8) / traffic.duration / 1000000 : null,
+        txMbps: traffic ? (traffic.tx * 8) / traffic.duration / 1000000 : null,
+        rxP95: rx ? rx.p95 : null,
+        txP95: tx ? tx.p95 : null,
+        errors: traffic ? traffic.errors : 0,
+        duration: traffic ? traffic.duration : 0,
+        coverage: traffic ? Math.min(1, traffic.duration / (to - from)) : 0,
+        samples: rates.length,
+    };
+}
+
+// Totals of windows are only compared when both have data for at least this share of their length
+const COMPARE_COVERAGE = 0.9;
+
+// Totals (bytes, count) grow with how much of a window has data; rates do not
+const COMPARE_METRICS = [
+    ['rx', 'RX', 'bytes'],
+    ['tx', 'TX', 'bytes'],
+    ['rxMbps', 'RX Mbps mean', 'mbps'],
+    ['txMbps', 'TX Mbps mean', 'mbps'],
+    ['rxP95', 'RX Mbps p95', 'mbps'],
+    ['txP95', 'TX Mbps p95', 'mbps'],
+    ['errors', 'Errors', 'count'],
+];
+
+function compareValues(baseline, current, comparable = true) {
+    if (baseline === null || current === null || !comparable) return { baseline, current, change: null, percent: null };
+    return { baseline, current, change: current - baseline, percent: baseline ? ((current - baseline) / baseline) * 100 : null };
+}
+
+// Two windows of an interface side by side; with hourly, also their time-of-day profiles hour by hour
+function calcCompare(db, iface, current, baseline, hourly = false) {
+    const a = calcWindow(db, iface, baseline.from, baseline.to);
+    const b = calcWindow(db, iface, current.from, current.to);
+    const partial = a.coverage < COMPARE_COVERAGE || b.coverage < COMPARE_COVERAGE;
+    const changes = Object.fromEntries(COMPARE_METRICS.map(([key, , kind]) => [key, compareValues(a[key], b[key], kind === 'mbps' || !partial)]));
+    const result = { ...describe(iface), baseline: a, current: b, partial, changes };
+    if (hourly) {
+        const before = calcHourly(db, iface, baseline.from, baseline.to);
+        const after = calcHourly(db, iface, current.from, current.to);
+        const mean = (profile, h, dir) => (profile && profile.hours[h][dir] ? profile.hours[h][dir].mean : null);
+        result.hours = [];
+        for (let h = 0; h < 24; h++) result.hours.push({ hour: h, rx: compareValues(mean(before, h, 'rx'), mean(after, h, 'rx')), tx: compareValues(mean(before, h, 'tx'), mean(after, h, 'tx')) });
+    }
+    return result;
+}
+
+function formatChange(value, kind) {
+    if (value === null) return '-';
+    const str = kind === 'bytes' ? formatBytes(Math.abs(value)) : kind === 'mbps' ? Math.abs(value).toFixed(2) : String(Math.abs(value));
+    return (/[1-9]/.test(str) ? (value > 0 ? '+' : '-') : '') + str;
+}
+
+function formatPercent(c) {
+    if (c.percent !== null) return `${c.percent > 0 ? '+' : ''}${c.percent.toFixed(1)}%`;
+    return c.current > 0 && c.baseline === 0 ? 'new' : '-';
+}
+
+function showCompare(db, items, current, baseline, hourly) {
+    const reports = items.map((item) => calcCompare(db, item, current, baseline, hourly));
+    if (outputFormat !== 'text') return emitCompare(reports);
+    const formatValue = (value, kind) => (value === null ? '-' : kind === 'bytes' ? formatBytes(value) : kind === 'mbps' ? value.toFixed(2) : String(value));
+    console.log(`\n=== COMPARE:${windowTitle(current.from, current.to)} against${windowTitle(baseline.from, baseline.to)} ===`);
+    for (const report of reports) {
+        console.log(`\n${report.device}/${report.name}`);
+        console.log('Metric'.padEnd(16) + 'Baseline'.padStart(14) + 'Current'.padStart(14) + 'Change'.padStart(14) + '%'.padStart(10));
+        console.log('-'.repeat(68));
+        const covered = (w) => `${formatDuration(w.duration)} ${Math.round(w.coverage * 100)}%`;
+        console.log('Covered'.padEnd(16) + covered(report.baseline).padStart(14) + covered(report.current).padStart(14));
+        for (const [key, label, kind] of COMPARE_METRICS) {
+            const c = report.changes[key];
+            console.log(label.padEnd(16) + formatValue(c.baseline, kind).padStart(14) + formatValue(c.current, kind).padStart(14) + formatChange(c.change, kind).padStart(14) + formatPercent(c).padStart(10));
+        }
+        if (report.partial) console.log(`Totals not compared: a window has data for less than ${COMPARE_COVERAGE * 100}% of its length, compare the rates`);
+        if (!report.hours) continue;
+        console.log('\nHourly profile (mean Mbps)');
+        console.log('Hour'.padEnd(7) + 'RX before'.padStart(11) + 'RX now'.padStart(9) + '%'.padStart(9) + 'TX before'.padStart(12) + 'TX now'.padStart(9) + '%'.padStart(9));
+        console.log('-'.repeat(66));
+        for (const { hour, rx, tx } of report.hours) {
+            console.log(
+                `${hour.toString().padStart(2, '0')}:00`.padEnd(7) +
+                    formatValue(rx.baseline, 'mbps').padStart(11) +
+                    formatValue(rx.current, 'mbps').padStart(9) +
+                    formatPercent(rx).padStart(9) +
+                    formatValue(tx.baseline, 'mbps').padStart(12) +
+                    formatValue(tx.current, 'mbps').padStart(9) +
+                    formatPercent(tx).padStart(9)
+            );
+        }
+    }
+    console.log('');
+}
+
+// Intervals in [from, to) far outside each interface's hourly profile learned over the preceding baseline seconds
+function calcAnomalies(db, items, from, to, baseline, options) {
+    return items.flatMap((item) => {
+        const profile = hourlyProfile(db, item.device, item.index, from - baseline, from);
+        const rates = getSlotRates(db, item.device, item.index, from, to);
+        return findAnomalies(rates, profile, options).map((anomaly) => ({ ...describe(item), ...anomaly }));
+    });
+}
+
+function showAnomalies(db, items, from, to, baseline, options) {
+    const anomalies = calcAnomalies(db, items, from, to, baseline, options).sort((a, b) => a.start - b.start);
+    if (outputFormat !== 'text') return emit(anomalies, anomalies);
+    console.log(`\n=== ANOMALIES${windowTitle(from, to)} (baseline ${formatDuration(baseline).replace(' ', '')} before, ${options.sigma} sigma) ===\n`);
+    if (!anomalies.length) {
+        console.log('No anomalies\n');
+        return;
+    }
+    const nameWidth = Math.min(40, Math.max(20, ...anomalies.map((a) => `${a.device}/${a.name}`.length + 2)));
+    console.log('Start'.padEnd(21) + 'End'.padEnd(21) + 'Device/Interface'.padEnd(nameWidth) + 'Dir'.padEnd(4) + 'Kind'.padEnd(6) + 'Peak Mbps'.padStart(10) + 'p50/p99'.padStart(16) + 'Score'.padStart(8) + '  Severity');
+    console.log('-'.repeat(21 + 21 + nameWidth + 4 + 6 + 10 + 16 + 8 + 10));
+    for (const a of anomalies) {
+        console.log(
+            formatDateTime(Math.round(a.start)).padEnd(21) +
+                formatDateTime(Math.round(a.end)).padEnd(21) +
+                `${a.device}/${a.name}`.substring(0, nameWidth - 1).padEnd(nameWidth) +
+                a.direction.padEnd(4) +
+                a.kind.padEnd(6) +
+                a.peak.toFixed(2).padStart(10) +
+                `${a.normal.toFixed(2)}/${a.p99.toFixed(2)}`.padStart(16) +
+                a.score.toFixed(1).padStart(8) +
+                `  ${a.severity}`
+        );
+    }
+    console.log('');
+}
+
+// Per 5-minute slot, traffic that can have gone through the uplink: what the port received
+// leaves on the uplink and what it sent arrived on it, so the smaller of each pair bounds it
+function uplinkShare(slots, uplinkSlots) {
+    let crossing = 0;
+    let total = 0;
+    slots.forEach((slot, i) => {
+        const up = uplinkSlots[i];
+        crossing += Math.min(slot.rx, up.tx) + Math.min(slot.tx, up.rx);
+        total += slot.rx + slot.tx;
+    });
+    return total > 0 ? crossing / total : null;
+}
+
+// Interfaces ranked by a TOP_METRICS value over [from, to); share is of the total volume when ranking by peak
+function calcTop(db, items, from, to, by, uplink = null) {
+    const step = 5 * 60;
+    const start = Math.floor(from / step) * step;
+    const uplinkSlots = uplink ? getSeries(db, uplink.device, uplink.index, start, to, step) : null;
+    const ranked = items
+        .filter((item) => !uplink || item.device !== uplink.device || item.index !== uplink.index)
+        .map((item) => {
+            const traffic = getTraffic(db, item.device, item.index, from, to);
+            const slots = getSeries(db, item.device, item.index, start, to, step);
+            const rx = traffic ? traffic.rx : 0;
+            const tx = traffic ? traffic.tx : 0;
+            const viaUplink = uplinkSlots ? uplinkShare(slots, uplinkSlots) : null;
+            return {
+                ...describe(item),
+                rx,
+                tx,
+                total: rx + tx,
+                peak: Math.max(0, ...slots.map((slot) => Math.max(slot.rxPeakMbps, slot.txPeakMbps))),
+                errors: traffic ? traffic.errors : 0,
+                viaUplink,
+                mostlyUplink: viaUplink !== null && viaUplink >= 0.5,
+            };
+        })
+        .sort((a, b) => b[by] - a[by] || b.total - a.total);
+    const shareKey = by === 'peak' ? 'total' : by;
+    const sum = ranked.reduce((acc, r) => acc + r[shareKey], 0);
+    return ranked.map((r, i) => ({ rank: i + 1, ...r, share: sum > 0 ? r[shareKey] / sum : null }));
+}
+
+function showTop(db, items, from, to, by, count, uplink = null) {
+    const all = calcTop(db, items, from, to, by, uplink);
+    const top = all.slice(0, count);
+    if (outputFormat !== 'text') return emit({ from, to, by, uplink: uplink ? describe(uplink) : null, interfaces: top }, top);
+    console.log(`\n=== TOP ${count} BY ${by.toUpperCase()}${windowTitle(from, to)} (${formatDuration(to - from)}) ===\n`);
+    if (uplink) {
+        const traffic = getTraffic(db, uplink.device, uplink.index, from, to);
+        console.log(`Uplink ${uplink.device}/${uplink.name}: RX ${formatBytes(traffic ? traffic.rx : 0)}, TX ${formatBytes(traffic ? traffic.tx : 0)}\n`);
+    }
+    const nameWidth = Math.min(40, Math.max(20, ...top.map((r) => `${r.device}/${r.name}`.length + 2)));
+    const header = '#'.padStart(3) + '  ' + 'Device/Interface'.padEnd(nameWidth) + 'RX'.padStart(12) + 'TX'.padStart(12) + 'Total'.padStart(12) + 'Peak Mbps'.padStart(11) + 'Errors'.padStart(8) + 'Share'.padStart(8);
+    console.log(header + (uplink ? 'Via uplink'.padStart(12) : ''));
+    console.log('-'.repeat(header.length + (uplink ? 12 : 0)));
+    for (const r of top) {
+        const via = r.viaUplink === null ? '-' : `${(r.viaUplink * 100).toFixed(0)}%${r.mostlyUplink ? ' *' : '  '}`;
+        console.log(
+            String(r.rank).padStart(3) +
+                '  ' +
+                `${r.device}/${r.name}`.substring(0, nameWidth - 1).padEnd(nameWidth) +
+                formatBytes(r.rx).padStart(12) +
+                formatBytes(r.tx).padStart(12) +
+                formatBytes(r.total).padStart(12) +
+                r.peak.toFixed(2).padStart(11) +
+                String(r.errors).padStart(8) +
+                (r.share === null ? '-' : `${(r.share * 100).toFixed(1)}%`).padStart(8) +
+                (uplink ? via.padStart(12) : '')
+        );
+    }
+    if (all.length > top.length) console.log(`    ${all.length - top.length} more, ${formatBytes(all.slice(count).reduce((acc, r) => acc + r.total, 0))} in total`);
+    if (uplink) console.log(`\n* Mostly through ${uplink.device}/${uplink.name}`);
+    console.log('');
+}
+
+// The config of a stored metric, for its type and unit; a metric since removed from the config is shown as a gauge
+function metricSpec(metric) {
+    const device = config.devices.find((d) => d.name === metric.device);
+    const iface = device && metric.index !== null ? device.interfaces.find((i) => i.index === metric.index) : null;
+    const spec = ((iface ? iface.metrics : device && metric.index === null ? device.metrics : null) || []).find((m) => m.name === metric.name);
+    return { type: spec && spec.type ? String(spec.type).toLowerCase() : 'gauge', unit: (spec && spec.unit) || '' };
+}
+
+// Summary of each metric over [from, to), with the mean of each of `buckets` equal parts of the window as its trend
+function calcMetrics(db, metrics, from, to, buckets = 24) {
+    return metrics.map((metric) => {
+        const { type, unit } = metricSpec(metric);
+        const values = getMetricValues(db, metric.device, metric.index, metric.name, type, from, to);
+        const stats = calcStats(values.map((v) => v.value));
+        const trend = [];
+        for (let b = 0; b < buckets; b++) {
+            const start = from + ((to - from) * b) / buckets;
+            const end = from + ((to - from) * (b + 1)) / buckets;
+            const inside = values.filter((v) => v.timestamp >= start && v.timestamp < end);
+            trend.push(inside.length ? inside.reduce((sum, v) => sum + v.value, 0) / inside.length : null);
+        }
+        return {
+            device: metric.device,
+            index: metric.index,
+            interface: metric.interfaceName,
+            name: metric.name,
+            type,
+            unit: type === 'counter' ? `${unit}/s` : unit,
+            last: values.length ? values[values.length - 1].value : null,
+            min: stats ? stats.min : null,
+            mean: stats ? stats.mean : null,
+            max: stats ? stats.max : null,
+            p95: stats ? stats.p95 : null,
+            samples: values.length,
+            trend,
+        };
+    });
+}
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+function sparkline(values) {
+    const present = values.filter((v) => v !== null);
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    return values.map((v) => (v === null ? ' ' : SPARK[max > min ? Math.round(((v - min) / (max - min)) * (SPARK.length - 1)) : 0])).join('');
+}
+
+// Decimals by the size of the largest value, so a row of one metric lines up
+function formatMetric(value, largest) {
+    if (value === null) return '-';
+    return value.toFixed(Math.abs(largest) >= 1000 ? 0 : Math.abs(largest) >= 10 ? 1 : 2);
+}
+
+function showMetrics(db, metrics, from, to) {
+    const reports = calcMetrics(db, metrics, from, to);
+    const rows = reports.map(({ trend, ...report }) => report);
+    if (outputFormat !== 'text') return emit(reports, rows);
+    console.log(`\n=== METRICS${windowTitle(from, to)} ===\n`);
+    if (!reports.length) {
+        console.log('No metrics (add them under metrics: in config.yaml)\n');
+        return;
+    }
+    const label = (r) => `${r.device}${r.interface ? `/${r.interface}` : ''}`.substring(0, 39);
+    const nameWidth = Math.min(40, Math.max(20, ...reports.map((r) => label(r).length + 2)));
+    const metricWidth = Math.max(8, ...reports.map((r) => r.name.length + 2));
+    const header = 'Device/Interface'.padEnd(nameWidth) + 'Metric'.padEnd(metricWidth) + 'Last'.padStart(10) + 'Min'.padStart(10) + 'Mean'.padStart(10) + 'Max'.padStart(10) + '  ' + 'Unit'.padEnd(8) + 'Trend';
+    console.log(header);
+    console.log('-'.repeat(header.length + 24 - 5));
+    for (const r of reports) {
+        console.log(
+            label(r).padEnd(nameWidth) +
+                r.name.padEnd(metricWidth) +
+                formatMetric(r.last, r.max).padStart(10) +
+                formatMetric(r.min, r.max).padStart(10) +
+                formatMetric(r.mean, r.max).padStart(10) +
+                formatMetric(r.max, r.max).padStart(10) +
+                '  ' +
+                r.unit.padEnd(8) +
+                (r.samples ? sparkline(r.trend) : 'no data')
+        );
+    }
+    console.log('');
+}
+
+// Machine-readable output: json is the nested document (as served by the API), csv and ndjson have one flat row per record
+function flatten(obj, prefix = '', row = {}) {
+    for (const [key, value] of Object.entries(obj)) {
+        const name = prefix ? prefix + key.charAt(0).toUpperCase() + key.substring(1) : key;
+        if (value !== null && typeof value === 'object') flatten(value, name, row);
+        else row[name] = value;
+    }
+    return row;
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function emit(document, records) {
+    if (outputFormat === 'json') {
+        console.log(JSON.stringify(document, null, 2));
+        return;
+    }
+    const rows = records.map((record) => flatten(record));
+    if (outputFormat === 'ndjson') {
+        for (const row of rows) console.log(JSON.stringify(row));
+        return;
+    }
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    if (!columns.length) return;
+    console.log(columns.join(','));
+    for (const row of rows) console.log(columns.map((column) => csvValue(row[column])).join(','));
+}
+
+function emitPeriods(db, items, list, now) {
+    const document = items.map((item) => ({ ...describe(item), periods: calcPeriods(db, item, list, now) }));
+    emit(
+        document,
+        document.flatMap(({ periods: rows, ...item }) => rows.map((row) => ({ ...item, ...row })))
+    );
+}
+
+function emitHourly(db, items, from, to, days = null) {
+    const document = items.map((item) => ({ ...describe(item), ...(calcHourly(db, item, from, to, days) || { hours: [], overall: null }) }));
+    emit(
+        document,
+        document.flatMap(({ hours, overall, ...item }) => [...hours.map((hour) => ({ ...item, ...hour })), ...(overall ? [{ ...item, hour: 'all', ...overall }] : [])])
+    );
+}
+
+function emitSeries(iface, interval, from, to, slots) {
+    emit(
+        { ...describe(iface), interval, from, to, slots },
+        slots.map(({ time, ...slot }) => ({ ...describe(iface), timestamp: time, time: formatIsoLocal(time), ...slot }))
+    );
+}
+
+function emitEvents(events) {
+    emit(
+        events,
+        events.map((e) => ({ timestamp: e.timestamp, time: formatIsoLocal(e.timestamp), ...e }))
+    );
+}
+
+// One row per cycle (period 'selected', then 'previous' ones) and per day of the selected cycle
+function emitBilling(reports) {
+    const row = (report, period, { days, previous, ...figures }) => ({ ...describe(report), period, date: formatDate(figures.start), ...figures });
+    emit(
+        reports,
+        reports.flatMap((report) => [row(report, 'selected', report), ...report.previous.map((cycle) => row(report, 'previous', cycle)), ...report.days.map((day) => row(report, 'day', day))])
+    );
+}
+
+// One row per interface and metric, then per hour and direction for a single interface
+function emitCompare(reports) {
+    emit(
+        reports,
+        reports.flatMap((report) => [
+            ...COMPARE_METRICS.map(([metric]) => ({ ...describe(report), metric, hour: null, ...report.changes[metric] })),
+            ...(report.hours || []).flatMap(({ hour, rx, tx }) => [
+                { ...describe(report), metric: 'rxMbps', hour, ...rx },
+                { ...describe(report), metric: 'txMbps', hour, ...tx },
+            ]),
+        ])
+    );
+}
+
+// Periods counted back from the end of the window, or the whole window when it has a start
+function windowPeriods(from, to) {
+    return from === null ? periods : [{ name: formatDuration(to - from).replace(' ', ''), secs: to - from }];
+}
+
+function windowTitle(from, to) {
+    if (from !== null) return ` ${formatDateTime(from)} → ${formatDateTime(to === null ? Math.floor(Date.now() / 1000) : to)}`;
+    return to !== null ? ` until ${formatDateTime(to)}` : '';
 }
 
 function pad(str, len, right = false) {
@@ -223,21 +862,25 @@ function pad(str, len, right = false) {
     return right ? str.padEnd(len) : str.padStart(len);
 }
 
-function showHourlySummary(db, items) {
+function daysTitle(days) {
+    return days === DAY_SETS['--weekday'] ? ' (weekdays)' : days === DAY_SETS['--weekend'] ? ' (weekends)' : '';
+}
+
+function showHourlySummary(db, items, from = null, to = null, days = null) {
+    const [since, until] = [from === null ? 0 : from, to === null ? Number.MAX_SAFE_INTEGER : to];
+    if (outputFormat !== 'text') return emitHourly(db, items, since, until, days);
     const colWidth = 7;
     const nameWidth = 30;
     let header = 'Interface'.padEnd(nameWidth) + '│';
     for (let h = 0; h < 24; h++) header += pad(h.toString().padStart(2, '0'), colWidth);
-    console.log('\n=== HOURLY TRAFFIC (avg Mbps rx/tx) ===\n');
+    console.log(`\n=== HOURLY TRAFFIC (avg Mbps rx/tx)${windowTitle(from, to)}${daysTitle(days)} ===\n`);
     console.log(header);
     console.log('─'.repeat(nameWidth) + '┼' + '─'.repeat(24 * colWidth));
     for (const item of items) {
-        const rates = getHourlyRates(db, item.device, item.index);
-        if (!rates) continue;
+        const hourly = calcHourly(db, item, since, until, days);
+        if (!hourly) continue;
         let line = `${item.device}/${item.name}`.substring(0, nameWidth - 1).padEnd(nameWidth) + '│';
-        for (let h = 0; h < 24; h++) {
-            const rxStats = calcStats(rates[h].rx);
-            const txStats = calcStats(rates[h].tx);
+        for (const { rx: rxStats, tx: txStats } of hourly.hours) {
             if (!rxStats || rxStats.n < 3) line += pad('-', colWidth);
             else line += pad(formatRateShort(rxStats.mean + txStats.mean), colWidth);
         }
@@ -246,60 +889,47 @@ function showHourlySummary(db, items) {
     console.log('');
 }
 
-function showHourlyDetailed(db, iface) {
-    const rates = getHourlyRates(db, iface.device, iface.index);
-    if (!rates) {
+function showHourlyDetailed(db, iface, from = null, to = null, days = null) {
+    const [since, until] = [from === null ? 0 : from, to === null ? Number.MAX_SAFE_INTEGER : to];
+    if (outputFormat !== 'text') return emitHourly(db, [iface], since, until, days);
+    const hourly = calcHourly(db, iface, since, until, days);
+    if (!hourly) {
         console.log(`No data for ${iface.device}/${iface.name}`);
         return;
     }
 
     let maxP95 = 0;
-    for (let h = 0; h < 24; h++) {
-        const rxStats = calcStats(rates[h].rx);
-        const txStats = calcStats(rates[h].tx);
+    for (const { rx: rxStats, tx: txStats } of hourly.hours) {
         if (rxStats && rxStats.n >= 3) maxP95 = Math.max(maxP95, rxStats.p95);
         if (txStats && txStats.n >= 3) maxP95 = Math.max(maxP95, txStats.p95);
     }
     if (maxP95 === 0) maxP95 = 1;
 
-    console.log(`\n=== HOURLY TRAFFIC: ${iface.device}/${iface.name} ===\n`);
-    console.log('RX (Download) - Mbps');
-    console.log('Hour  │   N   │   p50 │   p95 │   p99 │   Max │ Histogram');
-    console.log('──────┼───────┼───────┼───────┼───────┼───────┼' + '─'.repeat(30));
-    for (let h = 0; h < 24; h++) {
-        const s = calcStats(rates[h].rx);
-        const hourStr = h.toString().padStart(2, '0') + ':00';
-        if (!s || s.n < 3) console.log(`${pad(hourStr, 5, true)} │     - │     - │     - │     - │     - │`);
-        else
-            console.log(
-                `${pad(hourStr, 5, true)} │ ` +
-                    `${pad(s.n, 5)} │ ` +
-                    `${pad(s.p50.toFixed(2), 5)} │ ` +
-                    `${pad(s.p95.toFixed(2), 5)} │ ` +
-                    `${pad(s.p99.toFixed(2), 5)} │ ` +
-                    `${pad(s.max.toFixed(2), 5)} │ ${'█'.repeat(Math.round((s.p95 / maxP95) * 25))}`
-            );
-    }
-    console.log('\nTX (Upload) - Mbps');
-    console.log('Hour  │   N   │   p50 │   p95 │   p99 │   Max │ Histogram');
-    console.log('──────┼───────┼───────┼───────┼───────┼───────┼' + '─'.repeat(30));
-    for (let h = 0; h < 24; h++) {
-        const s = calcStats(rates[h].tx);
-        const hourStr = h.toString().padStart(2, '0') + ':00';
-        if (!s || s.n < 3) console.log(`${pad(hourStr, 5, true)} │     - │     - │     - │     - │     - │`);
-        else
-            console.log(
-                `${pad(hourStr, 5, true)} │ ` +
-                    `${pad(s.n, 5)} │ ` +
-                    `${pad(s.p50.toFixed(2), 5)} │ ` +
-                    `${pad(s.p95.toFixed(2), 5)} │ ` +
-                    `${pad(s.p99.toFixed(2), 5)} │ ` +
-                    `${pad(s.max.toFixed(2), 5)} │ ${'█'.repeat(Math.round((s.p95 / maxP95) * 25))}`
-            );
+    console.log(`\n=== HOURLY TRAFFIC: ${iface.device}/${iface.name}${windowTitle(from, to)}${daysTitle(days)} ===\n`);
+    for (const [dir, title] of [
+        ['rx', 'RX (Download) - Mbps'],
+        ['tx', '\nTX (Upload) - Mbps'],
+    ]) {
+        console.log(title);
+        console.log('Hour  │   N   │   p50 │   p95 │   p99 │   Max │ Histogram');
+        console.log('──────┼───────┼───────┼───────┼───────┼───────┼' + '─'.repeat(30));
+        for (const hour of hourly.hours) {
+            const s = hour[dir];
+            const hourStr = hour.hour.toString().padStart(2, '0') + ':00';
+            if (!s || s.n < 3) console.log(`${pad(hourStr, 5, true)} │     - │     - │     - │     - │     - │`);
+            else
+                console.log(
+                    `${pad(hourStr, 5, true)} │ ` +
+                        `${pad(s.n, 5)} │ ` +
+                        `${pad(s.p50.toFixed(2), 5)} │ ` +
+                        `${pad(s.p95.toFixed(2), 5)} │ ` +
+                        `${pad(s.p99.toFixed(2), 5)} │ ` +
+                        `${pad(s.max.toFixed(2), 5)} │ ${'█'.repeat(Math.round((s.p95 / maxP95) * 25))}`
+                );
+        }
     }
 
-    const rxOverall = calcStats(Object.values(rates).flatMap((r) => r.rx));
-    const txOverall = calcStats(Object.values(rates).flatMap((r) => r.tx));
+    const { rx: rxOverall, tx: txOverall } = hourly.overall;
     if (rxOverall && txOverall) {
         console.log('\n' + '─'.repeat(70));
         console.log(`Overall (${rxOverall.n} samples):`);
@@ -310,19 +940,76 @@ function showHourlyDetailed(db, iface) {
     console.log('');
 }
 
-function showSummary(db, items) {
-    const now = Math.floor(Date.now() / 1000);
+// Monday first, as calendars are read
+const HEATMAP_DAYS = [1, 2, 3, 4, 5, 6, 0];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HEATMAP_SHADES = [' ', '░', '▒', '▓', '█'];
+
+// One cell per day of the week and hour with the stat of its rx and tx rates, null without data
+function calcHeatmap(db, iface, from, to, stat) {
+    const weekly = getWeeklyRates(db, iface.device, iface.index, from, to);
+    if (!weekly) return null;
+    return HEATMAP_DAYS.flatMap((day) =>
+        weekly[day].map((rates, hour) => {
+            const rx = calcStats(rates.rx);
+            const tx = calcStats(rates.tx);
+            return { day: DAY_NAMES[day], hour, n: rates.rx.length, rx: rx ? rx[stat] : null, tx: tx ? tx[stat] : null };
+        })
+    );
+}
+
+// Quarters of the largest cell, so each grid uses the full range of shades
+function heatmapShade(value, max) {
+    if (value === null) return '·';
+    return HEATMAP_SHADES[value <= 0 || max <= 0 ? 0 : Math.min(4, Math.ceil((value / max) * 4))];
+}
+
+function showHeatmap(db, items, from = null, to = null, stat = 'p95') {
+    const [since, until] = [from === null ? 0 : from, to === null ? Number.MAX_SAFE_INTEGER : to];
+    const document = items.map((item) => ({ ...describe(item), stat, cells: calcHeatmap(db, item, since, until, stat) || [] }));
+    const rows = document.flatMap(({ cells, ...item }) => cells.map((cell) => ({ ...item, ...cell })));
+    if (outputFormat !== 'text') return emit(document, rows);
+    for (const { cells, ...item } of document) {
+        console.log(`\n=== HEATMAP: ${item.device}/${item.name} (${stat} Mbps)${windowTitle(from, to)} ===`);
+        if (!cells.length) {
+            console.log('\nNo data');
+            continue;
+        }
+        for (const [dir, title] of [
+            ['rx', 'RX (Download)'],
+            ['tx', 'TX (Upload)'],
+        ]) {
+            const max = Math.max(0, ...cells.map((cell) => cell[dir] || 0));
+            let header = '     ';
+            for (let h = 0; h < 24; h += 3) header += h.toString().padStart(2, '0').padEnd(6);
+            console.log(`\n${title}`);
+            console.log(header.trimEnd());
+            for (const day of HEATMAP_DAYS) {
+                const row = cells.filter((cell) => cell.day === DAY_NAMES[day]);
+                console.log(DAY_NAMES[day].padEnd(5) + row.map((cell) => heatmapShade(cell[dir], max).repeat(2)).join(''));
+            }
+            const legend = [1, 2, 3, 4].map((q) => `${HEATMAP_SHADES[q]} ≤ ${((max * q) / 4).toFixed(2)}`);
+            console.log(`     · no data  ${legend.join('  ')} Mbps`);
+        }
+    }
+    console.log('');
+}
+
+function showSummary(db, items, from = null, to = null) {
+    const now = to === null ? Math.floor(Date.now() / 1000) : to;
+    const list = windowPeriods(from, now);
+    if (outputFormat !== 'text') return emitPeriods(db, items, list, now);
     const colWidth = 14;
     const nameWidth = 35;
+    if (from !== null || to !== null) console.log(`Traffic${windowTitle(from, to)}`);
     let header = 'Device/Interface'.padEnd(nameWidth);
-    for (const period of periods) header += period.name.padStart(colWidth);
+    for (const period of list) header += period.name.padStart(colWidth);
     console.log(header);
-    console.log('='.repeat(nameWidth + periods.length * colWidth));
+    console.log('='.repeat(nameWidth + list.length * colWidth));
     for (const item of items) {
         let line = `${item.device}/${item.name}`.substring(0, nameWidth - 1).padEnd(nameWidth);
-        for (const period of periods) {
-            const traffic = getTraffic(db, item.device, item.index, now - period.secs);
-            if (traffic) line += `${formatMB(traffic.rx)}/${formatMB(traffic.tx)}`.padStart(colWidth);
+        for (const row of calcPeriods(db, item, list, now)) {
+            if (row.data) line += `${formatMB(row.rx)}/${formatMB(row.tx)}`.padStart(colWidth);
             else line += '-'.padStart(colWidth);
         }
         console.log(line);
@@ -330,10 +1017,12 @@ function showSummary(db, items) {
     console.log('');
 }
 
-function showDetailed(db, items) {
-    const now = Math.floor(Date.now() / 1000);
-    console.log('Traffic Statistics - ' + new Date().toISOString());
-    console.log('='.repeat(90));
+function showDetailed(db, items, from = null, to = null) {
+    const now = to === null ? Math.floor(Date.now() / 1000) : to;
+    const list = windowPeriods(from, now);
+    if (outputFormat !== 'text') return emitPeriods(db, items, list, now);
+    console.log('Traffic Statistics - ' + (from !== null || to !== null ? windowTitle(from, to).trim() : formatDateTime(Math.floor(Date.now() / 1000))));
+    console.log('='.repeat(96));
     const byDevice = {};
     for (const item of items) {
         if (!byDevice[item.device]) byDevice[item.device] = [];
@@ -342,22 +1031,21 @@ function showDetailed(db, items) {
     for (const [device, interfaces] of Object.entries(byDevice))
         for (const iface of interfaces) {
             console.log(`\n${device.toUpperCase()}/${iface.name.toUpperCase()}`);
-            console.log('-'.repeat(90));
-            console.log('Period'.padEnd(8) + 'RX'.padStart(14) + 'TX'.padStart(14) + 'RX Mbps'.padStart(12) + 'TX Mbps'.padStart(12) + 'Errors'.padStart(12));
-            console.log('-'.repeat(90));
-            for (const period of periods) {
-                const traffic = getTraffic(db, device, iface.index, now - period.secs);
-                if (!traffic) console.log(period.name.padEnd(8) + 'no data'.padStart(14));
+            console.log('-'.repeat(96));
+            console.log('Period'.padEnd(8) + 'RX'.padStart(14) + 'TX'.padStart(14) + 'RX Mbps'.padStart(12) + 'TX Mbps'.padStart(12) + 'Errors'.padStart(12) + 'Pkts u/m/b %'.padStart(14) + 'Discards'.padStart(10));
+            console.log('-'.repeat(96));
+            for (const row of calcPeriods(db, iface, list, now)) {
+                if (!row.data) console.log(row.period.padEnd(8) + 'no data'.padStart(14));
                 else {
-                    const rxMbps = (traffic.rx * 8) / traffic.duration / 1000000;
-                    const txMbps = (traffic.tx * 8) / traffic.duration / 1000000;
                     console.log(
-                        period.name.padEnd(8) +
-                            formatBytes(traffic.rx).padStart(14) +
-                            formatBytes(traffic.tx).padStart(14) +
-                            rxMbps.toFixed(2).padStart(12) +
-                            txMbps.toFixed(2).padStart(12) +
-                            (traffic.errors > 0 ? traffic.errors.toString() : '-').padStart(12)
+                        row.period.padEnd(8) +
+                            formatBytes(row.rx).padStart(14) +
+                            formatBytes(row.tx).padStart(14) +
+                            row.rxMbps.toFixed(2).padStart(12) +
+                            row.txMbps.toFixed(2).padStart(12) +
+                            (row.errors > 0 ? row.errors.toString() : '-').padStart(12) +
+                            formatPacketMix(row.packets).padStart(14) +
+                            (row.discards.percent ? `${row.discards.percent.toFixed(2)}%` : '-').padStart(10)
                     );
                 }
             }
@@ -365,50 +1053,32 @@ function showDetailed(db, items) {
     console.log('');
 }
 
-function showInsight(db, iface) {
+// Graph intervals to choose from when a window is given without --interval
+const INSIGHT_INTERVALS = [5 * 60, 15 * 60, 30 * 60, 60 * 60, 2 * 60 * 60, 6 * 60 * 60, 12 * 60 * 60, 24 * 60 * 60];
+
+function showInsight(db, iface, from = null, to = null) {
     const termWidth = process.stdout.columns || 120;
     const graphWidth = Math.floor(termWidth * 0.75);
     const graphHeight = 15;
-    const now = Math.floor(Date.now() / 1000);
+    const now = to === null ? Math.floor(Date.now() / 1000) : to;
     const numSlots = graphWidth - 10;
-    const timeRange = numSlots * intervalSecs;
-    const alignedEnd = Math.floor(now / intervalSecs) * intervalSecs;
-    const alignedStart = alignedEnd - numSlots * intervalSecs;
-    const samples = db.exec(
-        `
-        SELECT timestamp, in_octets, out_octets
-        FROM samples
-        WHERE device_name = ? AND interface_index = ? AND timestamp >= ?
-        ORDER BY timestamp
-    `,
-        [iface.device, iface.index, alignedStart - intervalSecs]
-    );
-    if (!samples.length || samples[0].values.length < 2) {
+    let interval = intervalSecs;
+    if (from !== null) {
+        // The finest interval that fits the window; a given --interval is only ever made coarser, and says so
+        const fit = INSIGHT_INTERVALS.find((secs) => (now - from) / secs <= numSlots) || INSIGHT_INTERVALS[INSIGHT_INTERVALS.length - 1];
+        if (intervalGiven && fit > interval) console.error(`Warning: ${interval / 60}min intervals cannot show the whole window, using ${fit / 60}min`);
+        if (!intervalGiven || fit > interval) interval = fit;
+    }
+    const timeRange = numSlots * interval;
+    const alignedEnd = (to === null ? Math.floor(now / interval) : Math.ceil(now / interval)) * interval;
+    const alignedStart = from === null ? alignedEnd - timeRange : Math.max(Math.floor(from / interval) * interval, alignedEnd - timeRange);
+    if (from !== null && alignedStart > from) console.error(`Warning: window truncated to the last ${formatDuration(alignedEnd - alignedStart)}`);
+    const slots = calcSeries(db, iface, interval, alignedStart, alignedEnd);
+    if (outputFormat !== 'text') return emitSeries(iface, interval, alignedStart, alignedEnd, slots);
+    if (!slots.some((slot) => slot.rxMbps !== null)) {
         console.log(`Not enough data for ${iface.device}/${iface.name}`);
         return;
     }
-    const rows = samples[0].values;
-    const slots = [];
-    for (let i = 0; i < numSlots; i++) {
-        const slotStart = alignedStart + i * intervalSecs;
-        const slotEnd = slotStart + intervalSecs;
-        let prevSample = null;
-        let nextSample = null;
-        for (let j = 0; j < rows.length; j++) {
-            if (rows[j][0] <= slotStart) prevSample = rows[j];
-            if (rows[j][0] >= slotEnd && !nextSample) nextSample = rows[j];
-        }
-        if (prevSample && nextSample && nextSample[0] > prevSample[0]) {
-            const duration = nextSample[0] - prevSample[0];
-            const rxBytes = nextSample[1] - prevSample[1];
-            const txBytes = nextSample[2] - prevSample[2];
-            const rxMbps = (rxBytes * 8) / duration / 1000000;
-            const txMbps = (txBytes * 8) / duration / 1000000;
-            slots.push({ time: slotStart, rxMbps, txMbps, rxBytes, txBytes });
-        } else {
-            slots.push({ time: slotStart, rxMbps: null, txMbps: null });
-        }
-    }
 
     let maxMbps = 0;
     let totalRxBytes = 0;
@@ -419,11 +1089,11 @@ function showInsight(db, iface) {
     for (const slot of slots)
         if (slot.rxMbps !== null) {
             maxMbps = Math.max(maxMbps, slot.rxMbps, slot.txMbps);
-            totalRxBytes += slot.rxBytes || 0;
-            totalTxBytes += slot.txBytes || 0;
+            totalRxBytes += slot.rx;
+            totalTxBytes += slot.tx;
             validSlots++;
             if (!firstValidTime) firstValidTime = slot.time;
-            lastValidTime = slot.time + intervalSecs;
+            lastValidTime = slot.time + interval;
         }
     if (maxMbps === 0) maxMbps = 1;
     const niceMax = Math.ceil(maxMbps * 1.1);
@@ -432,7 +1102,7 @@ function showInsight(db, iface) {
     const plotWidth = graphWidth - yAxisWidth;
 
     console.log('');
-    console.log(`  ${iface.device}/${iface.name} - ${intervalSecs / 60}min intervals`);
+    console.log(`  ${iface.device}/${iface.name} - ${interval / 60}min intervals`);
     console.log('  ' + '─'.repeat(graphWidth - 2));
 
     for (let row = graphHeight - 1; row >= 0; row--) {
@@ -491,21 +1161,190 @@ function showInsight(db, iface) {
     console.log('');
 }
 
+// HTTP JSON API over the same calculations as the console views
+const MAX_SERIES_SLOTS = 10000;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function parseTime(val, fallback) {
+    if (val === undefined || val === null || val === '') return fallback;
+    if (/^\d+$/.test(val)) return parseInt(val);
+    const ms = Date.parse(val);
+    if (isNaN(ms)) throw new HttpError(400, `Invalid time: ${val}`);
+    return Math.floor(ms / 1000);
+}
+
+function parsePeriods(val) {
+    if (!val) return periods;
+    return val.split(',').map((name) => {
+        const known = periods.find((p) => p.name === name);
+        if (known) return known;
+        try {
+            return { name, secs: parseDuration(name) };
+        } catch (err) {
+            throw new HttpError(400, err.message);
+        }
+    });
+}
+
+function findInterface(interfaces, device, iface) {
+    const matches = interfaces.filter((i) => i.device.toLowerCase() === device.toLowerCase() && (i.name.toLowerCase() === iface.toLowerCase() || String(i.index) === iface));
+    if (!matches.length) throw new HttpError(404, `Interface not found: ${device}/${iface}`);
+    return matches[0];
+}
+
+function describe(item) {
+    return { device: item.device, index: item.index, name: item.name };
+}
+
+function createApi(getDb) {
+    const routes = [
+        ['/status', (db) => calcStatus(db)],
+        ['/interfaces', (db, interfaces, params, query) => filterInterfaces(interfaces, query.get('filter')).map(describe)],
+        [
+            '/events',
+            (db, interfaces, params, query) => {
+                const filter = query.get('filter');
+                return calcEvents(db, filter ? filterInterfaces(interfaces, filter) : null, parseTime(query.get('since'), Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60));
+            },
+        ],
+        [
+            '/traffic',
+            (db, interfaces, params, query) => {
+                const list = parsePeriods(query.get('periods'));
+                return filterInterfaces(interfaces, query.get('filter')).map((item) => ({ ...describe(item), periods: calcPeriods(db, item, list) }));
+            },
+        ],
+        [
+            '/traffic/:device/:iface',
+            (db, interfaces, params, query) => {
+                const item = findInterface(interfaces, params.device, params.iface);
+                return { ...describe(item), periods: calcPeriods(db, item, parsePeriods(query.get('periods'))) };
+            },
+        ],
+        [
+            '/hourly',
+            (db, interfaces, params, query) =>
+                filterInterfaces(interfaces, query.get('filter')).map((item) => {
+                    const hourly = calcHourly(db, item);
+                    return { ...describe(item), hours: hourly ? hourly.hours.map((h) => ({ hour: h.hour, rxMean: h.rx ? h.rx.mean : null, txMean: h.tx ? h.tx.mean : null, n: h.rx ? h.rx.n : 0 })) : null };
+                }),
+        ],
+        [
+            '/hourly/:device/:iface',
+            (db, interfaces, params) => {
+                const item = findInterface(interfaces, params.device, params.iface);
+                return { ...describe(item), ...calcHourly(db, item) };
+            },
+        ],
+        [
+            '/series/:device/:iface',
+            (db, interfaces, params, query) => {
+                const item = findInterface(interfaces, params.device, params.iface);
+                let step;
+                try {
+                    step = parseDuration(query.get('interval') || '5m');
+                } catch (err) {
+                    throw new HttpError(400, err.message);
+                }
+                if (step <= 0) throw new HttpError(400, 'interval must be positive');
+                const now = Math.floor(Date.now() / 1000);
+                const to = Math.ceil(parseTime(query.get('to'), now) / step) * step;
+                const from = Math.floor(parseTime(query.get('from'), to - 24 * 60 * 60) / step) * step;
+                if (to <= from) throw new HttpError(400, 'from must be before to');
+                if ((to - from) / step > MAX_SERIES_SLOTS) throw new HttpError(400, `Too many slots, at most ${MAX_SERIES_SLOTS} per request`);
+                return { ...describe(item), interval: step, from, to, slots: calcSeries(db, item, step, from, to) };
+            },
+        ],
+    ].map(([pattern, handler]) => ({ parts: pattern.split('/').slice(1), handler }));
+
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body) + '\n');
+        };
+        try {
+            if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+            if (url.pathname === '/' || url.pathname === '/index.html') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(fs.readFileSync(path.join(__dirname, 'dashboard.html')));
+            }
+            // Split before decoding: interface names may contain '/' (as %2F)
+            const parts = url.pathname.split('/').slice(1).filter((p) => p !== '');
+            for (const route of routes) {
+                if (route.parts.length !== parts.length) continue;
+                const params = {};
+                if (!route.parts.every((p, i) => (p.startsWith(':') ? (params[p.substring(1)] = decodeURIComponent(parts[i])) : p === parts[i]))) continue;
+                const db = await getDb();
+                return send(200, route.handler(db, getAllInterfaces(db), params, url.searchParams));
+            }
+            throw new HttpError(404, `Not found: ${url.pathname}`);
+        } catch (err) {
+            send(err.status || 500, { error: err.message });
+        }
+    };
+}
+
+function serve(listen) {
+    // Local only unless a host is given: the dashboard and API have no authentication
+    const [host, port] = listen.includes(':') ? listen.split(':') : ['127.0.0.1', listen];
+    // Reopen the database whenever the poller has written to it since the last request
+    let cached = null;
+    const getDb = async () => {
+        const stamp = [dbPath, journalFile(dbPath)]
+            .map((p) => {
+                if (!fs.existsSync(p)) return '-';
+                const stat = fs.statSync(p);
+                return `${stat.mtimeMs}:${stat.size}`;
+            })
+            .join('|');
+        if (!cached || cached.stamp !== stamp) {
+            if (!fs.existsSync(dbPath)) throw new HttpError(503, `Database not found: ${dbPath}`);
+            const db = await openReadonly();
+            if (cached) cached.db.close();
+            cached = { db, stamp };
+        }
+        return cached.db;
+    };
+    const server = http.createServer(createApi(getDb));
+    server.listen(parseInt(port) || 8080, host, () => console.log(`Traffic dashboard and API on http://${host || '0.0.0.0'}:${parseInt(port) || 8080}/`));
+}
+
+// Read-only: includes changes the poller has journaled since its last checkpoint. A database
+// from before the extended counters or metrics gets their columns and table in memory until
+// the poller adds them
+async function openReadonly() {
+    const db = await openDatabase(dbPath, { readonly: true, onError: (msg) => console.error('Warning:', msg) });
+    createMetricsTable(db);
+    addCounterColumns(db, 'samples');
+    for (const tier of TIERS) addCounterColumns(db, tier.table, 'INTEGER NOT NULL DEFAULT 0');
+    return db;
+}
+
 async function main() {
-    const SQL = await initSqlJs();
+    if (serveArg) {
+        serve(serveArg.includes('=') ? serveArg.split('=')[1] : '8080');
+        return;
+    }
     if (!fs.existsSync(dbPath)) {
         console.error('Database not found:', dbPath);
         process.exit(1);
     }
-    const db = new SQL.Database(fs.readFileSync(dbPath));
+    const db = await openReadonly();
     const interfaces = getAllInterfaces(db);
-    if (!interfaces.length) {
-        console.log('No data in database');
+    if (!interfaces.length && !modeMetrics) {
+        (outputFormat === 'text' ? console.log : console.error)('No data in database');
         process.exit(0);
     }
     const filter = filters[0] || null;
     let items = filterInterfaces(interfaces, filter);
-    if (filter && !items.length) {
+    if (filter && !items.length && !modeMetrics) {
         console.error(`Filter '${filter}' not found.`);
         console.error(`  Devices: ${[...new Set(interfaces.map((i) => i.device))].join(', ')}`);
         console.error(`  Interfaces: ${[...new Set(interfaces.map((i) => i.name))].join(', ')}`);
@@ -513,18 +1352,89 @@ async function main() {
     }
     if (!items.length) items = interfaces;
 
-    if (modeHourly) {
+    // Optional time window, null leaves a mode at its default
+    const now = Math.floor(Date.now() / 1000);
+    const from = fromArg ? parseWhen(fromArg.split('=')[1], now) : null;
+    const to = toArg ? parseWhen(toArg.split('=')[1], now) : null;
+    if (from !== null && from >= (to === null ? now : to)) throw new Error('--from must be before --to');
+
+    if (modeMetrics) {
+        // Matched by device, interface or metric name
+        const match = filter ? filter.toLowerCase() : null;
+        const metrics = listMetrics(db)
+            .map((metric) => {
+                const iface = metric.index === null ? null : interfaces.find((i) => i.device === metric.device && i.index === metric.index);
+                return { ...metric, interfaceName: metric.index === null ? null : iface ? iface.name : String(metric.index) };
+            })
+            .filter((m) => !match || m.device.toLowerCase() === match || (m.interfaceName && m.interfaceName.toLowerCase().includes(match)) || m.name.toLowerCase().includes(match));
+        const until = to === null ? now : to;
+        showMetrics(db, metrics, from !== null ? from : until - 24 * 60 * 60, until);
+    } else if (topCountArg !== null) {
+        const count = parseInt(topCountArg);
+        const by = byArg ? byArg.split('=')[1] : 'total';
+        if (!(count > 0) || !TOP_METRICS.includes(by)) throw new Error(`--top needs a positive count and --by one of ${TOP_METRICS.join(', ')}`);
+        const until = to === null ? now : to;
+        let uplink = null;
+        if (uplinkArg) {
+            const name = uplinkArg.split('=')[1];
+            const matches = filterInterfaces(interfaces, name);
+            uplink = matches.length === 1 ? matches[0] : matches.find((i) => i.name.toLowerCase() === name.toLowerCase());
+            if (!uplink) throw new Error(`--uplink '${name}' must match one interface${matches.length ? `: ${matches.map((i) => `${i.device}/${i.name}`).join(', ')}` : ''}`);
+        }
+        showTop(db, items, from !== null ? from : until - parseDuration(windowArg ? windowArg.split('=')[1] : '1h'), until, by, count, uplink);
+    } else if (modeAnomalies) {
+        const options = { sigma: sigmaArg ? parseFloat(sigmaArg.split('=')[1]) : ANOMALY_DEFAULTS.sigma, minRate: minRateArg ? parseFloat(minRateArg.split('=')[1]) : ANOMALY_DEFAULTS.minRate };
+        if (!(options.sigma > 0) || !(options.minRate > 0)) throw new Error('--sigma and --min-rate must be positive');
+        const until = to === null ? now : to;
+        showAnomalies(db, items, from !== null ? from : until - 24 * 60 * 60, until, parseDuration(baselineArg ? baselineArg.split('=')[1] : '28d'), options);
+    } else if (compareArg) {
+        // The window against the one before it, the window shifted back by a duration, or a given range
+        const current = { to: to === null ? now : to };
+        current.from = from !== null ? from : current.to - 7 * 24 * 60 * 60;
+        const value = compareArg.includes('=') ? compareArg.split('=')[1] : null;
+        let baseline;
+        if (value && value.includes('..')) {
+            const [a, b] = value.split('..').map((v) => parseWhen(v, now));
+            baseline = { from: a, to: b };
+        } else {
+            const shift = value ? parseDuration(value) : current.to - current.from;
+            baseline = { from: current.from - shift, to: current.to - shift };
+        }
+        if (baseline.from >= baseline.to) throw new Error('--compare range must start before it ends');
+        const exact = filter && items.find((i) => i.name.toLowerCase() === filter.toLowerCase());
+        const single = items.length === 1 ? items[0] : exact;
+        showCompare(db, single ? [single] : items, current, baseline, Boolean(single));
+    } else if (modeBilling) {
+        const back = cycleArg ? parseInt(cycleArg.split('=')[1]) : 0;
+        const count = cyclesArg ? parseInt(cyclesArg.split('=')[1]) : 6;
+        const day = billingDayArg ? parseInt(billingDayArg.split('=')[1]) : 1;
+        if (!(back >= 0) || !(count >= 0) || !(day >= 1 && day <= 28)) {
+            console.error('--cycle and --cycles must be 0 or more, --billing-day from 1 to 28');
+            process.exit(1);
+        }
+        // Without a filter, the interfaces that have billing configured (or all when none do)
+        const billed = items.filter((item) => config.devices.some((d) => d.name === item.device && d.interfaces.some((i) => i.index === item.index && i.billing)));
+        showBilling(db, filter || !billed.length ? items : billed, back, count, to === null ? now : to);
+    } else if (modeEvents) {
+        const since = from !== null ? from : parseWhen(sinceArg ? sinceArg.split('=')[1] : '7d', now);
+        showEvents(db, filter ? items : null, since, to);
+    } else if (modeHeatmap) {
+        const stat = statArg ? statArg.split('=')[1] : 'p95';
+        if (!HEATMAP_STATS.includes(stat)) throw new Error(`--stat must be one of ${HEATMAP_STATS.join(', ')}`);
+        showHeatmap(db, items, from, to, stat);
+    } else if (modeHourly) {
+        const days = daysArg ? DAY_SETS[daysArg] : null;
         if (filter && items.length === 1) {
-            showHourlyDetailed(db, items[0]);
+            showHourlyDetailed(db, items[0], from, to, days);
         } else if (filter && items.length > 1) {
             const exact = items.find((i) => i.name.toLowerCase() === filter.toLowerCase());
             if (exact) {
-                showHourlyDetailed(db, exact);
+                showHourlyDetailed(db, exact, from, to, days);
             } else {
-                showHourlySummary(db, items);
+                showHourlySummary(db, items, from, to, days);
             }
         } else {
-            showHourlySummary(db, items);
+            showHourlySummary(db, items, from, to, days);
         }
     } else if (modeInsight) {
         if (items.length > 1) {
@@ -536,11 +1446,11 @@ async function main() {
                 process.exit(1);
             }
         }
-        showInsight(db, items[0]);
+        showInsight(db, items[0], from, to);
     } else if (modeSummary) {
-        showSummary(db, items);
+        showSummary(db, items, from, to);
     } else {
-        showDetailed(db, items);
+        showDetailed(db, items, from, to);
     }
     db.close();
 }